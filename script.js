@@ -20,11 +20,17 @@ const SERIAL_COMMANDS = {
   SEND_CHUNK: "SEND_CHUNK", // Send firmware data chunk
   FINISH_UPDATE: "FINISH_UPDATE", // Finalize firmware update
   ABORT_UPDATE: "ABORT_UPDATE", // Cancel ongoing update
-  RESTART: "RESTART", // Restart device
+  RESTART: "RESTART", // Restart device, optionally into a target mode
   ROLLBACK: "ROLLBACK", // Rollback to previous firmware
   GET_PARTITION_INFO: "GET_PARTITION_INFO", // Get partition information
   GET_STORAGE_INFO: "GET_STORAGE_INFO", // Get storage information
   VALIDATE_FIRMWARE: "VALIDATE_FIRMWARE", // Validate firmware integrity
+  SET_FRAMING: "SET_FRAMING", // Switch chunk transport framing (text or cobs)
+  LIST_FILES: "LIST_FILES", // List files in a filesystem directory
+  READ_FILE: "READ_FILE", // Read part of a file (path,offset,length)
+  WRITE_FILE: "WRITE_FILE", // Write part of a file (path,offset,crc32,base64)
+  DELETE_FILE: "DELETE_FILE", // Delete a file
+  READ_FLASH: "READ_FLASH", // Read partition contents (label,offset,length)
 };
 
 /**
@@ -34,8 +40,16 @@ const RESPONSE_PREFIXES = {
   OK: "OK:", // Success response prefix
   ERROR: "ERROR:", // Error response prefix
   PROGRESS: "PROGRESS:", // Progress update prefix
+  EVENT: "EVENT:", // Unsolicited device event prefix
 };
 
+/**
+ * Request ID prefix. When GET_INFO reports `request_ids`, every command is sent
+ * as #<id>:COMMAND[:data] and the device echoes `id` in its JSON response, so
+ * late replies to timed-out commands can be recognized and dropped.
+ */
+const REQUEST_ID_PREFIX = "#";
+
 const SERIAL_CONFIG = {
   baudRate: 921600,
   dataBits: 8,
@@ -44,24 +58,264 @@ const SERIAL_CONFIG = {
   flowControl: "none",
 };
 
+/**
+ * Device mode the installer works in. Devices reporting another `current_mode`
+ * are sent RESTART:<mode> and reconnected once their port comes back.
+ */
+const UPDATE_MODE = "Update Mode";
+const RESTART_ACK_TIMEOUT = 2000; // Time to wait for RESTART to be acknowledged
+const RESTART_DISCONNECT_DELAY = 2000; // Time for an update to finish restarting
+const RESTART_SETTLE_DELAY = 1000; // Time for the device to drop off the bus
+const RESTART_RECONNECT_TIMEOUT = 15000; // Time allowed for the port to return
+const RESTART_POLL_INTERVAL = 500; // Delay between attempts to reopen the port
+
+/**
+ * USB identities (vendor and product ID) of ports that answered as a BYTE-90,
+ * so previously granted ports can be reopened without the port chooser
+ */
+const KNOWN_PORTS_STORAGE_KEY = "byte90-known-ports";
+
 /**
  * Transfer settings optimized for speed and reliability
  */
 const CHUNK_SIZE = 1024; // Bytes per chunk - balanced for reliability
 const COMMAND_TIMEOUT = 5000; // Default command timeout (5 seconds)
 const CHUNK_TIMEOUT = 10000; // Chunk transfer timeout (10 seconds)
+const LATE_REPLY_TIMEOUT = 3000; // Time left for a late reply without request IDs
 const MAX_RETRIES = 2; // Maximum retry attempts for failed operations
+const VALIDATE_TIMEOUT = 30000; // Device-side image hashing timeout (30 seconds)
+const MAX_CONSECUTIVE_ERRORS = 3; // Chunk failures in a row before giving up
+const PROGRESS_INTERVAL = 50; // Chunks between resume checkpoints
+const TELEMETRY_INTERVAL = 250; // Time between telemetry refreshes (ms)
+const TELEMETRY_WINDOW = 2000; // Span the current speed is measured over (ms)
+const TELEMETRY_SAMPLES = 120; // Speed samples kept for the sparkline
+const FLASH_READ_SIZE = 4096; // Bytes per READ_FLASH request during backups
 
-//==============================================================================
-// GLOBAL STATE MANAGEMENT
-//==============================================================================
+/**
+ * Device-side stages of an update and the span of the progress bar each one
+ * covers. The device reports its position within a stage in PROGRESS messages,
+ * e.g. PROGRESS:{"stage":"erase","bytes":65536,"total":1310720}. `report` is
+ * the stage name the device uses; it verifies the image again while finishing.
+ */
+const UPDATE_STAGES = [
+  {
+    id: "erase",
+    report: "erase",
+    label: "Erase",
+    activity: "Erasing flash",
+    start: 3,
+    end: 10,
+  },
+  {
+    id: "write",
+    report: "write",
+    label: "Write",
+    activity: "Writing",
+    start: 10,
+    end: 90,
+  },
+  {
+    id: "verify",
+    report: "verify",
+    label: "Verify",
+    activity: "Verifying image",
+    start: 90,
+    end: 95,
+  },
+  {
+    id: "finish",
+    report: "verify",
+    label: "Finish",
+    activity: "Finalizing update",
+    start: 95,
+    end: 99,
+  },
+];
+
+/**
+ * Backup sidecar format written next to the partition images
+ */
+const BACKUP_FORMAT = "byte90-backup";
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * IndexedDB storage for interrupted transfer sessions, keyed by device identity
+ */
+const SESSION_DB_NAME = "byte90-installer";
+const SESSION_DB_VERSION = 1;
+const SESSION_STORE_NAME = "transferSessions";
+
+/**
+ * Chunk frame protocol version. Firmware reporting `chunk_protocol >= 2` in
+ * GET_INFO accepts SEND_CHUNK:v2,<seq>,<offset>,<crc32>,<base64> frames and
+ * answers with the number of bytes it has committed in `offset`.
+ */
+const CHUNK_PROTOCOL_VERSION = 2;
+
+/**
+ * Binary chunk transport, negotiated with SET_FRAMING:cobs when GET_INFO reports
+ * `binary_framing`. Each frame is [type u8][seq u32][length u16][payload][crc32]
+ * (little-endian, CRC over everything before it), COBS-encoded and wrapped in
+ * 0x00 delimiters so it can share the line with newline-terminated text commands.
+ * Device responses stay in the OK:/ERROR:/PROGRESS: text protocol.
+ */
+const BINARY_FRAMING = "cobs";
+const BINARY_FRAME_TYPES = {
+  CHUNK: 0x01, // Payload: [offset u32][image bytes]
+};
+const BINARY_FRAME_HEADER_SIZE = 7;
+
+/**
+ * Pipelined transfer window, used when GET_INFO reports `chunk_window > 1`
+ * (the number of frames the firmware can buffer). The window is capped at the
+ * smaller of the device limit and PIPELINE_MAX_WINDOW.
+ */
+const PIPELINE_INITIAL_WINDOW = 4; // Frames in flight at transfer start
+const PIPELINE_MAX_WINDOW = 16; // Upper bound on frames in flight
+
+/**
+ * Lookup table for the IEEE 802.3 CRC-32 used by chunk frames
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Image hash algorithms, in order of preference. Firmware that does not report
+ * `hash_algorithms` in GET_INFO only supports MD5 (ESP32 Update library).
+ */
+const HASH_ALGORITHMS = {
+  SHA256: "sha256",
+  MD5: "md5",
+};
+
+/**
+ * ESP32 app image layout (esp_image_header_t followed by the first segment,
+ * which starts with esp_app_desc_t)
+ */
+const ESP_IMAGE_MAGIC = 0xe9;
+const ESP_IMAGE_HEADER_SIZE = 24;
+const ESP_IMAGE_MAX_SEGMENTS = 16;
+const ESP_SEGMENT_HEADER_SIZE = 8;
+const ESP_APP_DESC_MAGIC = 0xabcd5432;
+const ESP_APP_DESC_SIZE = 256;
+
+/**
+ * Chip IDs from the image extended header, as named by GET_INFO `mcu`
+ */
+const ESP_CHIP_IDS = {
+  0x0000: "ESP32",
+  0x0002: "ESP32-S2",
+  0x0005: "ESP32-C3",
+  0x0009: "ESP32-S3",
+  0x000c: "ESP32-C2",
+  0x000d: "ESP32-C6",
+  0x0010: "ESP32-H2",
+  0x0012: "ESP32-P4",
+};
+
+/**
+ * ESP32 ROM bootloader serial protocol, used by recovery mode when the
+ * firmware no longer answers. Packets are SLIP framed:
+ *   request  [0x00][op][size u16][checksum u32][data]
+ *   response [0x01][op][size u16][value u32][data][status...]
+ */
+const ROM_COMMANDS = {
+  FLASH_BEGIN: 0x02, // Erase a region and start writing it
+  FLASH_DATA: 0x03, // Write one block
+  FLASH_END: 0x04, // Leave flash mode, optionally rebooting
+  SYNC: 0x08, // Synchronize with the bootloader
+  READ_REG: 0x0a, // Read a 32-bit register
+  SPI_SET_PARAMS: 0x0b, // Set the flash chip geometry
+  SPI_ATTACH: 0x0d, // Attach the SPI flash
+  CHANGE_BAUDRATE: 0x0f, // Switch the bootloader baud rate
+  SPI_FLASH_MD5: 0x13, // Hash a flash region
+};
+
+const ROM_BAUD_RATE = 115200; // Baud rate the ROM bootloader starts at
+const ROM_FLASH_BAUD_RATE = 921600; // Baud rate used while flashing
+const ROM_TIMEOUT = 3000; // Default bootloader command timeout
+const ROM_SYNC_TIMEOUT = 100; // Timeout for each SYNC attempt
+const ROM_SYNC_ATTEMPTS = 5; // Reset and sync rounds before giving up
+const ROM_FLASH_WRITE_SIZE = 0x400; // FLASH_DATA block size for the ROM loader
+const ROM_CHECKSUM_SEED = 0xef; // Seed of the FLASH_DATA XOR checksum
+const ROM_ERASE_TIMEOUT_PER_MB = 30000; // FLASH_BEGIN erase time allowance
+const ROM_MD5_TIMEOUT_PER_MB = 8000; // SPI_FLASH_MD5 time allowance
+
+const SLIP_END = 0xc0;
+const SLIP_ESC = 0xdb;
+const SLIP_ESC_END = 0xdc;
+const SLIP_ESC_ESC = 0xdd;
+
+/**
+ * Chip detection register and the values each chip's ROM reports there
+ */
+const CHIP_DETECT_MAGIC_REG = 0x40001000;
+const ROM_CHIP_MAGIC = {
+  0x00f01d83: "ESP32",
+  0x000007c6: "ESP32-S2",
+  0x00000009: "ESP32-S3",
+  0x6921506f: "ESP32-C3",
+  0x1b31506f: "ESP32-C3",
+  0x4881606f: "ESP32-C3",
+  0x4361606f: "ESP32-C3",
+  0x6f51306f: "ESP32-C2",
+  0x7c41a06f: "ESP32-C2",
+  0x2ce0806f: "ESP32-C6",
+  0xd7b73e80: "ESP32-H2",
+};
+
+/**
+ * Factory image layout. The bootloader offset depends on the chip; the app
+ * and filesystem offsets come from the partition table being flashed.
+ */
+const BOOTLOADER_OFFSETS = { ESP32: 0x1000, "ESP32-S2": 0x1000 };
+const PARTITION_TABLE_OFFSET = 0x8000;
+const PARTITION_ENTRY_SIZE = 32;
+const PARTITION_ENTRY_MAGIC = 0x50aa;
+
+/**
+ * LittleFS layout for animation images built in the browser. Matches the
+ * esp_littlefs defaults (4 KB blocks, 64-byte names) on disk version 2.0.
+ */
+const LFS_DISK_VERSION = 0x00020000;
+const LFS_BLOCK_SIZE = 4096;
+const LFS_PROG_SIZE = 256;
+const LFS_NAME_MAX = 64;
+const LFS_FILE_MAX = 0x7fffffff;
+const LFS_ATTR_MAX = 0x3fe;
+const LFS_TAG_TYPES = {
+  REG: 0x001,
+  SUPERBLOCK: 0x0ff,
+  INLINESTRUCT: 0x201,
+  CTZSTRUCT: 0x202,
+  CRC: 0x500,
+  HARDTAIL: 0x601,
+};
 
 /**
- * Web Serial API connection objects
+ * Release catalog. The manifest is resolved relative to index.html so the
+ * installer works offline or from a mirror; `?manifest=<url>` overrides it
+ * with another manifest on the same origin.
  */
-let serialPort = null; // SerialPort instance
-let reader = null; // ReadableStreamDefaultReader
-let writer = null; // WritableStreamDefaultWriter
+const MANIFEST_URL = "manifest.json";
+const MANIFEST_SCHEMA_VERSION = 1;
+const RELEASE_CHANNELS = {
+  STABLE: "stable",
+  BETA: "beta",
+};
+
+//==============================================================================
+// GLOBAL STATE MANAGEMENT
+//==============================================================================
 
 /**
  * Application state variables
@@ -69,6 +323,8 @@ let writer = null; // WritableStreamDefaultWriter
 let isConnected = false; // Connection status flag
 let updateInProgress = false; // Update operation status
 let deviceInfo = null; // Cached device information
+let partitionInfo = null; // Cached partition table from GET_PARTITION_INFO
+let storageInfo = null; // Cached filesystem usage from GET_STORAGE_INFO
 
 /**
  * DOM element cache for performance
@@ -105,11 +361,38 @@ function initializeElements() {
     "updateSection",
     "updateType",
     "firmwareFile",
+    "releasePicker",
+    "releaseChannel",
+    "releaseVersion",
+    "releaseNotes",
+    "useReleaseBtn",
+    "assetBuilder",
+    "assetFiles",
+    "assetList",
+    "assetSummary",
+    "clearAssetsBtn",
+    "imageInfo",
+    "imageProject",
+    "imageVersion",
+    "imageChip",
+    "imageIdfVersion",
+    "imageBuildDate",
+    "imageSegments",
+    "releaseStatus",
+    "releaseBadge",
+    "quickUpdateBtn",
     "uploadBtn",
     "abortBtn",
+    "rollbackBtn",
+    "resumeNotice",
+    "resumeText",
+    "resumeBtn",
+    "discardResumeBtn",
     "progressContainer",
     "uploadProgress",
     "progressText",
+    "progressStages",
+    "integrityStatus",
     "updateStatus",
     "compatibilityStatus",
     "serialSupport",
@@ -117,6 +400,68 @@ function initializeElements() {
     "mcu",
     "availableSpace",
     "freeHeap",
+    "deviceInspector",
+    "partitionTableBody",
+    "storageSummary",
+    "storageUsage",
+    "fileManagerSection",
+    "fileFreeSpace",
+    "fileTableBody",
+    "deviceUploadFile",
+    "uploadDeviceFileBtn",
+    "refreshFilesBtn",
+    "fileStatus",
+    "backupSection",
+    "createBackupBtn",
+    "restoreFiles",
+    "backupDownloads",
+    "restoreList",
+    "backupStatus",
+    "updateReport",
+    "updateReportResult",
+    "updateReportDetails",
+    "batchSection",
+    "batchFirmwareFile",
+    "batchFilesystemFile",
+    "batchDevices",
+    "batchSummary",
+    "batchSummaryBody",
+    "addBatchDeviceBtn",
+    "startBatchBtn",
+    "batchStatus",
+    "animationsFileControl",
+    "animationsFile",
+    "recoverySection",
+    "recoveryBootloader",
+    "recoveryPartitions",
+    "recoveryFirmware",
+    "recoveryFilesystem",
+    "recoveryBtn",
+    "recoveryProgressContainer",
+    "recoveryProgress",
+    "recoveryProgressText",
+    "recoveryStatus",
+    "consoleOutput",
+    "consoleFilter",
+    "consoleDirection",
+    "consoleCommand",
+    "consoleSendBtn",
+    "consolePauseBtn",
+    "consoleScrollLockBtn",
+    "consoleClearBtn",
+    "consoleExportBtn",
+    "panicSymbolsFile",
+    "panicReport",
+    "panicReason",
+    "panicFramesBody",
+    "panicStatus",
+    "diagnosticsBtn",
+    "transferTelemetry",
+    "telemetrySent",
+    "telemetrySpeed",
+    "telemetryEta",
+    "telemetryRetries",
+    "telemetrySparkline",
   ];
 
   elementIds.forEach((id) => {
@@ -224,6 +569,15 @@ const utils = {
     }
   },
 
+  /**
+   * Waits for the given number of milliseconds
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>} - Resolves after the delay
+   */
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  },
+
   /**
    * Converts bytes to human-readable format (KB, MB, GB)
    * @param {number} bytes - Number of bytes to format
@@ -238,18 +592,277 @@ const utils = {
   },
 
   /**
-   * Converts ArrayBuffer to Base64 string for serial transmission
+   * Formats a flash address as a zero-padded hexadecimal string
+   * @param {number} address - Flash address or offset
+   * @returns {string} - Formatted address (e.g. 0x010000)
+   */
+  formatHex(address) {
+    return `0x${address.toString(16).padStart(6, "0")}`;
+  },
+
+  /**
+   * Normalizes an MCU model name for comparison (ESP32-S3, esp32s3 -> ESP32S3)
+   * @param {string} model - MCU model name
+   * @returns {string} - Uppercase alphanumeric model name
+   */
+  normalizeChipName(model) {
+    return String(model)
+      .toUpperCase()
+      .replace(/[^0-9A-Z]/g, "");
+  },
+
+  /**
+   * Parses a semantic version string (a leading "v" is accepted)
+   * @param {string} version - Version string such as 1.4.0-beta.2
+   * @returns {Object|null} - Numeric core and prerelease identifiers, or null if invalid
+   */
+  parseVersion(version) {
+    const match = String(version ?? "")
+      .trim()
+      .match(
+        /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/
+      );
+    if (!match) return null;
+
+    return {
+      core: [Number(match[1]), Number(match[2]), Number(match[3])],
+      prerelease: match[4] ? match[4].split(".") : [],
+    };
+  },
+
+  /**
+   * Compares two versions using semver precedence. Unparseable versions sort
+   * below every valid version.
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+   */
+  compareVersions(a, b) {
+    const left = utils.parseVersion(a);
+    const right = utils.parseVersion(b);
+    if (!left || !right) return (left ? 1 : 0) - (right ? 1 : 0);
+
+    for (let i = 0; i < 3; i++) {
+      if (left.core[i] !== right.core[i]) return left.core[i] - right.core[i];
+    }
+
+    // A release outranks any of its prereleases
+    if (!left.prerelease.length || !right.prerelease.length) {
+      return right.prerelease.length - left.prerelease.length;
+    }
+
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let i = 0; i < length; i++) {
+      const x = left.prerelease[i];
+      const y = right.prerelease[i];
+      if (x === undefined) return -1;
+      if (y === undefined) return 1;
+      if (x === y) continue;
+
+      const xNumeric = /^\d+$/.test(x);
+      const yNumeric = /^\d+$/.test(y);
+      if (xNumeric && yNumeric) return Number(x) - Number(y);
+      if (xNumeric !== yNumeric) return xNumeric ? -1 : 1;
+      return x < y ? -1 : 1;
+    }
+
+    return 0;
+  },
+
+  /**
+   * Converts ArrayBuffer to a lowercase hexadecimal string
    * @param {ArrayBuffer} buffer - Binary data to encode
+   * @returns {string} - Hexadecimal string
+   */
+  arrayBufferToHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+  },
+
+  /**
+   * Computes an image hash using the given algorithm
+   * @param {ArrayBuffer} buffer - Data to hash
+   * @param {string} algorithm - One of HASH_ALGORITHMS
+   * @returns {Promise<string>} - Lowercase hexadecimal digest
+   */
+  async computeHash(buffer, algorithm) {
+    if (algorithm === HASH_ALGORITHMS.SHA256) {
+      const digest = await crypto.subtle.digest("SHA-256", buffer);
+      return utils.arrayBufferToHex(digest);
+    }
+    return utils.md5(buffer);
+  },
+
+  /**
+   * Computes the MD5 digest of a buffer. Web Crypto does not provide MD5, but it
+   * is the only digest the ESP32 Update library and ROM bootloader understand.
+   * @param {ArrayBuffer|Uint8Array} buffer - Data to hash
+   * @returns {string} - Lowercase hexadecimal digest
+   */
+  md5(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const shifts = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+    const constants = new Uint32Array(64);
+    for (let i = 0; i < 64; i++) {
+      constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+    }
+
+    // Pad to a multiple of 64 bytes with 0x80, zeros and the bit length
+    const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, (bytes.length * 8) >>> 0, true);
+    view.setUint32(
+      paddedLength - 4,
+      Math.floor(bytes.length / 0x20000000),
+      true
+    );
+
+    let a0 = 0x67452301;
+    let b0 = 0xefcdab89;
+    let c0 = 0x98badcfe;
+    let d0 = 0x10325476;
+    const words = new Uint32Array(16);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+      for (let i = 0; i < 16; i++) {
+        words[i] = view.getUint32(offset + i * 4, true);
+      }
+
+      let a = a0;
+      let b = b0;
+      let c = c0;
+      let d = d0;
+
+      for (let i = 0; i < 64; i++) {
+        let f;
+        let g;
+        if (i < 16) {
+          f = (b & c) | (~b & d);
+          g = i;
+        } else if (i < 32) {
+          f = (d & b) | (~d & c);
+          g = (5 * i + 1) % 16;
+        } else if (i < 48) {
+          f = b ^ c ^ d;
+          g = (3 * i + 5) % 16;
+        } else {
+          f = c ^ (b | ~d);
+          g = (7 * i) % 16;
+        }
+
+        const shift = shifts[(i >> 4) * 4 + (i % 4)];
+        const sum = (a + f + constants[i] + words[g]) | 0;
+        a = d;
+        d = c;
+        c = b;
+        b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+      }
+
+      a0 = (a0 + a) | 0;
+      b0 = (b0 + b) | 0;
+      c0 = (c0 + c) | 0;
+      d0 = (d0 + d) | 0;
+    }
+
+    const digest = new DataView(new ArrayBuffer(16));
+    [a0, b0, c0, d0].forEach((word, i) => digest.setUint32(i * 4, word, true));
+    return utils.arrayBufferToHex(digest.buffer);
+  },
+
+  /**
+   * Computes the CRC-32 (IEEE) checksum of a byte array
+   * @param {Uint8Array} bytes - Data to checksum
+   * @returns {number} - Unsigned 32-bit CRC
+   */
+  crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  /**
+   * Converts ArrayBuffer to Base64 string for serial transmission
+   * @param {ArrayBuffer|Uint8Array} buffer - Binary data to encode
    * @returns {string} - Base64 encoded string
    */
   arrayBufferToBase64(buffer) {
-    let binary = "";
     const bytes = new Uint8Array(buffer);
-    const len = bytes.byteLength;
-    for (let i = 0; i < len; i++) {
-      binary += String.fromCharCode(bytes[i]);
+    const parts = [];
+    for (let i = 0; i < bytes.length; i += 0x2000) {
+      parts.push(
+        String.fromCharCode.apply(null, bytes.subarray(i, i + 0x2000))
+      );
+    }
+    return btoa(parts.join(""));
+  },
+
+  /**
+   * Decodes a Base64 string into bytes
+   * @param {string} base64 - Base64 encoded data
+   * @returns {Uint8Array} - Decoded bytes
+   */
+  base64ToUint8Array(base64) {
+    const binary = atob(base64 || "");
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  /**
+   * Saves a Blob to the user's computer through a temporary download link
+   * @param {Blob} blob - Data to save
+   * @param {string} fileName - Suggested file name
+   */
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  /**
+   * COBS-encodes a byte array so the result contains no zero bytes
+   * @param {Uint8Array} bytes - Data to encode
+   * @returns {Uint8Array} - Encoded data (without delimiters)
+   */
+  cobsEncode(bytes) {
+    const output = new Uint8Array(
+      bytes.length + Math.ceil(bytes.length / 254) + 1
+    );
+    let codeIndex = 0;
+    let outIndex = 1;
+    let code = 1;
+
+    for (let i = 0; i < bytes.length; i++) {
+      if (bytes[i] === 0) {
+        output[codeIndex] = code;
+        codeIndex = outIndex++;
+        code = 1;
+      } else {
+        output[outIndex++] = bytes[i];
+        code++;
+        if (code === 0xff) {
+          output[codeIndex] = code;
+          codeIndex = outIndex++;
+          code = 1;
+        }
+      }
     }
-    return btoa(binary);
+
+    output[codeIndex] = code;
+    return output.subarray(0, outIndex);
   },
 };
 
@@ -261,7 +874,11 @@ const utils = {
  * Handles all Web Serial API communication with the BYTE-90 device
  */
 const serial = {
-  pendingCommand: null, // Currently awaiting response
+  connection: null, // Connection to the device, created at startup
+  reconnectTarget: null, // USB identity of a port expected back after a restart
+  reconnecting: false, // True while waiting for a restarted device
+  restartPending: false, // True while the installer is restarting the device
+  lastInfo: null, // Last GET_INFO answer, kept if the device is left in another mode
 
   /**
    * Establishes connection to the BYTE-90 device and verifies Update Mode
@@ -274,91 +891,111 @@ const serial = {
       utils.hideStatus(elements.connectionStatus);
 
       // Clean up any existing connection first
-      if (isConnected || serialPort) {
+      if (isConnected || serial.connection.port) {
         await serial.disconnect();
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+        await utils.delay(1000);
       }
 
       if (!navigator.serial) {
         throw new Error("Web Serial API not supported");
       }
 
-      serialPort = await navigator.serial.requestPort();
+      const port = await navigator.serial.requestPort();
+      await serial.openPort(port);
+
+      return await serial.verifyDevice(true);
+    } catch (error) {
+      console.error("Connection failed:", error);
+      await serial.disconnect();
+      utils.showStatus(
+        elements.connectionStatus,
+        `Connection failed: ${error.message}`,
+        "error"
+      );
+      return false;
+    }
+  },
 
-      await serialPort.open(SERIAL_CONFIG);
+  /**
+   * Opens a port and starts listening on it
+   * @param {SerialPort} port - Port to open
+   * @returns {Promise<void>} - Resolves once the port is open
+   */
+  async openPort(port) {
+    await serial.connection.open(port);
 
-      reader = serialPort.readable.getReader();
-      writer = serialPort.writable.getWriter();
+    serial.reconnectTarget = null;
+    isConnected = true;
+    ui.updateConnectionState(true);
+  },
 
-      isConnected = true;
-      ui.updateConnectionState(true);
+  /**
+   * Checks the device mode over the open port and loads its details. A device
+   * in another mode is restarted into Update Mode when allowed.
+   * @param {boolean} allowModeSwitch - Restart a device found in another mode
+   * @returns {Promise<boolean>} - True if the device is ready in Update Mode
+   */
+  async verifyDevice(allowModeSwitch) {
+    try {
+      utils.showStatus(
+        elements.connectionStatus,
+        "Checking device mode...",
+        "info"
+      );
 
-      serial.startListening();
+      const info = await serial.sendCommand(SERIAL_COMMANDS.GET_INFO, "", 5000);
 
-      try {
+      if (!info || !info.success) {
+        await serial.disconnect();
         utils.showStatus(
           elements.connectionStatus,
-          "Checking device mode...",
-          "info"
-        );
-
-        const info = await serial.sendCommand(
-          SERIAL_COMMANDS.GET_INFO,
-          "",
-          5000
+          "Could not verify device mode. Please ensure device is in Update Mode and try again.",
+          "error"
         );
+        return false;
+      }
 
-        if (info && info.success) {
-          deviceInfo = info;
-
-          // Check if device is in Update Mode
-          if (info.current_mode !== "Update Mode") {
-            console.log(`Device in wrong mode: ${info.current_mode}`);
-
-            await serial.disconnect();
-
-            utils.showStatus(
-              elements.connectionStatus,
-              `Device is in ${info.current_mode}. Please switch to Update Mode and connect again.`,
-              "warning"
-            );
+      deviceInfo = info;
+      serial.lastInfo = info;
+      serial.connection.info = info;
+      serial.connection.requestIds = Boolean(info.request_ids);
 
-            return false;
-          }
+      // Check if device is in Update Mode
+      if (info.current_mode !== UPDATE_MODE) {
+        console.log(`Device in wrong mode: ${info.current_mode}`);
 
-          ui.updateDeviceInfo(info);
-          utils.showStatus(
-            elements.connectionStatus,
-            "Device connected successfully in Update Mode",
-            "success"
-          );
-        } else {
-          await serial.disconnect();
-          utils.showStatus(
-            elements.connectionStatus,
-            "Could not verify device mode. Please ensure device is in Update Mode and try again.",
-            "error"
-          );
-          return false;
+        if (allowModeSwitch) {
+          return await serial.switchToUpdateMode(info.current_mode);
         }
-      } catch (error) {
-        console.warn("Failed to get device info:", error);
+
         await serial.disconnect();
         utils.showStatus(
           elements.connectionStatus,
-          "Unable to communicate with device. Please ensure device is in Update Mode and try again.",
-          "error"
+          `Device is in ${info.current_mode}. Please switch to Update Mode and connect again.`,
+          "warning"
         );
         return false;
       }
 
+      serial.rememberPort(serial.connection.port);
+      ui.updateDeviceInfo(info);
+      ui.updateReleasePicker();
+      await serial.connection.negotiateFraming();
+      await inspector.refresh();
+      await fileManager.refresh();
+      await updater.checkResumableSession();
+      utils.showStatus(
+        elements.connectionStatus,
+        "Device connected successfully in Update Mode",
+        "success"
+      );
       return true;
     } catch (error) {
-      console.error("Connection failed:", error);
+      console.warn("Failed to get device info:", error);
       await serial.disconnect();
       utils.showStatus(
         elements.connectionStatus,
-        `Connection failed: ${error.message}`,
+        "Unable to communicate with device. Please ensure device is in Update Mode and try again.",
         "error"
       );
       return false;
@@ -366,546 +1003,7456 @@ const serial = {
   },
 
   /**
-   * Safely disconnects from the device and cleans up resources
-   * @returns {Promise<boolean>} - True if disconnect successful
+   * Restarts the device into Update Mode, then reopens its port once it is
+   * back and verifies it again, without asking the user for the port
+   * @param {string} currentMode - Mode the device reported
+   * @returns {Promise<boolean>} - True if the device came back in Update Mode
    */
-  async disconnect() {
-    utils.resetProgress();
-    utils.hideStatus(elements.updateStatus);
-    utils.hideStatus(elements.connectionStatus);
+  async switchToUpdateMode(currentMode) {
+    const portInfo = serial.connection.port.getInfo();
 
-    if (!isConnected && !serialPort) {
-      return true;
-    }
+    utils.showStatus(
+      elements.connectionStatus,
+      `Device is in ${currentMode}. Restarting it into Update Mode...`,
+      "info"
+    );
 
+    serial.restartPending = true;
     try {
-      isConnected = false;
-
-      if (serial.pendingCommand) {
-        serial.pendingCommand = null;
-      }
+      await serial.sendCommand(
+        SERIAL_COMMANDS.RESTART,
+        UPDATE_MODE,
+        RESTART_ACK_TIMEOUT
+      );
+    } catch (error) {
+      // The device may reset before its reply makes it out
+      console.debug("No reply to RESTART:", error.message);
+    } finally {
+      await serial.disconnect();
+      serial.restartPending = false;
+    }
 
-      if (reader) {
-        try {
-          await reader.cancel();
-        } catch (e) {
-          console.warn("Reader cancel failed:", e);
-        }
+    utils.showStatus(
+      elements.connectionStatus,
+      "Waiting for the device to restart...",
+      "info"
+    );
 
-        try {
-          reader.releaseLock();
-        } catch (e) {
-          console.warn("Reader release failed:", e);
-        }
-        reader = null;
-      }
+    if (!(await serial.reopenPort(portInfo))) {
+      utils.showStatus(
+        elements.connectionStatus,
+        "The device did not come back after restarting. Please switch it to Update Mode and connect again.",
+        "warning"
+      );
+      return false;
+    }
 
-      if (writer) {
-        try {
-          await writer.close();
-        } catch (e) {
-          console.warn("Writer close failed:", e);
-        }
-        writer = null;
-      }
+    return serial.verifyDevice(false);
+  },
 
-      await new Promise((resolve) => setTimeout(resolve, 100));
+  /**
+   * Reopens a restarted device without the port chooser and verifies it. If
+   * it does not come back in time, it is reconnected when its port next
+   * appears (see handlePortConnect).
+   * @param {SerialPortInfo} portInfo - USB vendor and product IDs of the port
+   * @param {boolean} allowModeSwitch - Restart it into Update Mode if it came
+   *   back in another mode; only when the user asked for Update Mode
+   * @returns {Promise<boolean>} - True if the device is back in Update Mode
+   */
+  async reconnect(portInfo, allowModeSwitch = false) {
+    if (serial.reconnecting || isConnected) return false;
 
-      if (serialPort) {
-        try {
-          await serialPort.close();
-        } catch (e) {
-          console.warn("Serial port close failed:", e);
-        }
-        serialPort = null;
+    serial.reconnecting = true;
+    serial.reconnectTarget = portInfo;
+    try {
+      if (!(await serial.reopenPort(portInfo))) {
+        utils.showStatus(
+          elements.connectionStatus,
+          "The device has not come back yet. It will reconnect when it does, or you can connect manually.",
+          "warning"
+        );
+        return false;
       }
 
-      deviceInfo = null;
-      ui.updateConnectionState(false);
+      return await serial.verifyDevice(allowModeSwitch);
+    } finally {
+      serial.reconnecting = false;
+    }
+  },
 
-      if (elements.firmwareFile) {
-        elements.firmwareFile.value = "";
-      }
-      if (elements.updateType) {
-        elements.updateType.value = "firmware"; // Reset to default firmware type
-      }
+  /**
+   * Reconnects automatically after an update: waits for the device to
+   * restart, then reports the firmware version it booted. A device that boots
+   * into another mode is left there unless allowModeSwitch is set.
+   * @param {string} message - Status shown while the device restarts
+   * @param {boolean} allowModeSwitch - Restart it back into Update Mode
+   * @returns {Promise<Object|null>} - GET_INFO of the restarted device in
+   *   whatever mode it came back, or null if it did not answer
+   */
+  async reconnectAfterRestart(message, allowModeSwitch = false) {
+    const portInfo = serial.connection.port?.getInfo();
+    serial.lastInfo = null;
 
-      return true;
-    } catch (error) {
-      console.error("Disconnect failed:", error);
-      // Force cleanup even if there were errors
-      isConnected = false;
-      reader = null;
-      writer = null;
-      serialPort = null;
-      serial.pendingCommand = null;
-      deviceInfo = null;
-      ui.updateConnectionState(false);
-      return false;
+    serial.restartPending = true;
+    try {
+      await utils.delay(RESTART_DISCONNECT_DELAY);
+      await serial.disconnect();
+    } finally {
+      serial.restartPending = false;
     }
-  },
 
-  /**
-   * Sends a command to the device and waits for response
-   * @param {string} command - Command to send
-   * @param {string} data - Optional command data
-   * @param {number} customTimeout - Custom timeout in milliseconds
-   * @returns {Promise<Object>} - Parsed JSON response from device
-   */
-  async sendCommand(command, data = "", customTimeout = COMMAND_TIMEOUT) {
-    if (!writer) {
-      throw new Error("Not connected to device");
+    utils.showStatus(elements.connectionStatus, message, "info");
+    if (!portInfo || !navigator.serial) return null;
+
+    if (!(await serial.reconnect(portInfo, allowModeSwitch))) {
+      const info = serial.lastInfo;
+      if (info) {
+        utils.showStatus(
+          elements.connectionStatus,
+          `Device restarted in ${info.current_mode}, running firmware ${
+            info.firmware_version || "unknown"
+          }. Connect again to update it.`,
+          "info"
+        );
+      }
+      return info;
     }
 
-    return new Promise((resolve, reject) => {
-      const commandString = data ? `${command}:${data}\n` : `${command}\n`;
-      const encoder = new TextEncoder();
-
-      const timeoutMs =
-        command === SERIAL_COMMANDS.SEND_CHUNK ? CHUNK_TIMEOUT : customTimeout;
-
-      const timeout = setTimeout(() => {
-        console.error(`Command timeout (${timeoutMs}ms): ${command}`);
-        serial.pendingCommand = null;
-        reject(new Error(`Command timeout: ${command}`));
-      }, timeoutMs);
-
-      serial.pendingCommand = (response) => {
-        clearTimeout(timeout);
-        if (response && response.success !== undefined) {
-          resolve(response);
-        } else {
-          console.error(`Invalid response for ${command}:`, response);
-          reject(new Error(`Invalid response for ${command}`));
-        }
-      };
+    utils.showStatus(
+      elements.connectionStatus,
+      `Device restarted and reconnected, running firmware ${
+        deviceInfo?.firmware_version || "unknown"
+      }`,
+      "success"
+    );
+    return deviceInfo;
+  },
 
-      writer.write(encoder.encode(commandString)).catch((error) => {
-        clearTimeout(timeout);
-        serial.pendingCommand = null;
-        console.error("Write failed:", error);
-        reject(error);
-      });
-    });
+  /**
+   * Checks whether a port has the given USB identity
+   * @param {SerialPort} port - Port to check
+   * @param {SerialPortInfo} portInfo - USB vendor and product IDs
+   * @returns {boolean} - True if both IDs match
+   */
+  matchesPortInfo(port, portInfo) {
+    const info = port.getInfo();
+    return (
+      info.usbVendorId === portInfo.usbVendorId &&
+      info.usbProductId === portInfo.usbProductId
+    );
   },
 
   /**
-   * Sends a command with automatic retry on failure
-   * @param {string} command - Command to send
-   * @param {string} data - Optional command data
-   * @param {number} retries - Number of retry attempts
-   * @returns {Promise<Object>} - Parsed JSON response from device
+   * Reads the USB identities of ports that answered as a BYTE-90
+   * @returns {Array<SerialPortInfo>} - Remembered vendor and product IDs
    */
-  async sendCommandWithRetry(command, data = "", retries = MAX_RETRIES) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const result = await this.sendCommand(command, data);
-        return result;
-      } catch (error) {
-        console.warn(`Command ${command} attempt ${attempt} failed:`, error);
-        if (attempt === retries) {
-          throw error;
-        }
-        const retryDelay = command === SERIAL_COMMANDS.SEND_CHUNK ? 100 : 50;
-        await new Promise((resolve) => setTimeout(resolve, retryDelay));
-      }
+  getKnownPorts() {
+    try {
+      const ports = JSON.parse(localStorage.getItem(KNOWN_PORTS_STORAGE_KEY));
+      return Array.isArray(ports) ? ports : [];
+    } catch (error) {
+      console.warn("Failed to read known ports:", error);
+      return [];
     }
   },
 
   /**
-   * Starts listening for incoming serial data and processes responses
+   * Remembers the USB identity of a verified BYTE-90 port
+   * @param {SerialPort} port - Port that answered GET_INFO
    */
-  async startListening() {
-    const decoder = new TextDecoder();
-    let buffer = "";
+  rememberPort(port) {
+    const { usbVendorId, usbProductId } = port.getInfo();
+    if (usbVendorId === undefined) return;
 
+    const ports = serial.getKnownPorts();
+    if (ports.some((known) => serial.matchesPortInfo(port, known))) return;
+
+    ports.push({ usbVendorId, usbProductId });
     try {
-      while (reader && isConnected) {
-        const { value, done } = await reader.read();
+      localStorage.setItem(KNOWN_PORTS_STORAGE_KEY, JSON.stringify(ports));
+    } catch (error) {
+      console.warn("Failed to remember port:", error);
+    }
+  },
 
-        if (done) break;
+  /**
+   * Listens for granted ports appearing and disappearing, and reconnects to a
+   * single remembered BYTE-90 that is already plugged in
+   * @returns {Promise<void>} - Resolves once the startup check is done
+   */
+  async initializePortEvents() {
+    if (!navigator.serial) return;
 
-        buffer += decoder.decode(value, { stream: true });
+    navigator.serial.addEventListener("connect", serial.handlePortConnect);
+    navigator.serial.addEventListener(
+      "disconnect",
+      serial.handlePortDisconnect
+    );
 
-        let lines = buffer.split("\n");
-        buffer = lines.pop() || "";
+    const known = serial.getKnownPorts();
+    const ports = (await navigator.serial.getPorts()).filter((port) =>
+      known.some((info) => serial.matchesPortInfo(port, info))
+    );
+    if (ports.length !== 1 || isConnected) return;
 
-        for (const line of lines) {
-          if (line.trim()) {
-            serial.handleResponse(line.trim());
-          }
-        }
-      }
+    // Only report the mode here; restarting a device into Update Mode is
+    // left to the user pressing Connect
+    try {
+      await serial.openPort(ports[0]);
+      await serial.verifyDevice(false);
     } catch (error) {
-      if (error.name !== "AbortError") {
-        console.error("Serial reading error:", error);
-      }
+      console.warn("Automatic connection failed:", error);
+      await serial.disconnect();
     }
   },
 
   /**
-   * Processes incoming responses from the device
-   * @param {string} line - Raw response line from device
+   * Reconnects when the port of a device that is expected back appears
+   * @param {Event} event - Web Serial connect event
    */
-  handleResponse(line) {
-    let response = null;
-    let isProgress = false;
+  async handlePortConnect(event) {
+    const target = serial.reconnectTarget;
+    if (!target || isConnected || serial.reconnecting) return;
+    if (!serial.matchesPortInfo(event.target, target)) return;
 
-    if (line.startsWith(RESPONSE_PREFIXES.OK)) {
-      const jsonStr = line.substring(RESPONSE_PREFIXES.OK.length);
-      try {
-        response = JSON.parse(jsonStr);
-      } catch (e) {
-        console.error("Failed to parse OK response:", jsonStr, e);
-        return;
-      }
-    } else if (line.startsWith(RESPONSE_PREFIXES.ERROR)) {
-      const jsonStr = line.substring(RESPONSE_PREFIXES.ERROR.length);
-      try {
-        response = JSON.parse(jsonStr);
-        response.success = false;
-      } catch (e) {
-        console.error("Failed to parse ERROR response:", jsonStr, e);
-        return;
-      }
-    } else if (line.startsWith(RESPONSE_PREFIXES.PROGRESS)) {
-      const jsonStr = line.substring(RESPONSE_PREFIXES.PROGRESS.length);
-      try {
-        response = JSON.parse(jsonStr);
-        isProgress = true;
-      } catch (e) {
-        console.error("Failed to parse PROGRESS response:", jsonStr, e);
-        return;
-      }
-    } else {
-      return;
-    }
-
-    if (isProgress) {
-      if (response.completed) {
-        updateInProgress = false;
-        if (response.success) {
-          utils.showStatus(
-            elements.updateStatus,
-            "Update completed successfully! Device will restart.",
-            "success"
-          );
-          ui.updateUpdateState(false);
-        } else {
-          utils.showStatus(
-            elements.updateStatus,
-            response.message || "Update failed",
-            "error"
-          );
-          ui.updateUpdateState(false);
-        }
-      }
-    } else if (serial.pendingCommand) {
-      const handler = serial.pendingCommand;
-      serial.pendingCommand = null;
-      handler(response);
-    }
+    console.log("Device port reappeared, reconnecting");
+    await serial.reconnect(target);
   },
-};
-
-//==============================================================================
-// FIRMWARE UPDATE MODULE
-//==============================================================================
 
-/**
- * Handles firmware file validation, upload process, and progress tracking
- */
-const updater = {
   /**
-   * Initiates the firmware update process with comprehensive validation
-   * @returns {Promise<void>} - Resolves when update completes or rejects on error
+   * Cleans up when the connected port disappears, and expects it back
+   * @param {Event} event - Web Serial disconnect event
    */
-  async startUpdate() {
-    const file = elements.firmwareFile?.files[0];
-    const updateType = elements.updateType?.value || "firmware";
+  async handlePortDisconnect(event) {
+    if (serial.restartPending) return;
+    const port = serial.connection.port;
+    if (!port || event.target !== port) return;
 
-    if (!file) {
-      utils.showStatus(
-        elements.updateStatus,
-        "Please select a firmware file",
-        "error"
-      );
-      return;
-    }
+    console.log("Device port disconnected");
+    const portInfo = port.getInfo();
+    await serial.disconnect();
 
-    if (!file.name.endsWith(".bin")) {
-      utils.showStatus(
-        elements.updateStatus,
-        "Please select a .bin file",
-        "error"
-      );
-      return;
-    }
+    serial.reconnectTarget = portInfo;
+    utils.showStatus(
+      elements.connectionStatus,
+      "Device disconnected. It will reconnect when plugged back in.",
+      "warning"
+    );
+  },
 
-    const expectedFilename =
-      updateType === "firmware" ? "byte90.bin" : "byte90animations.bin";
-    if (
-      !file.name.includes(
-        updateType === "firmware" ? "byte90" : "byte90animations"
-      )
-    ) {
-      utils.showStatus(
-        elements.updateStatus,
-        `Please select the correct file (${expectedFilename})`,
-        "error"
+  /**
+   * Waits for a previously granted port with the same USB identity to
+   * reappear and opens it. USB CDC devices re-enumerate when they restart,
+   * so the port object may differ from the one used before.
+   * @param {SerialPortInfo} portInfo - USB vendor and product IDs of the port
+   * @returns {Promise<boolean>} - True once a matching port is open
+   */
+  async reopenPort(portInfo) {
+    const deadline = Date.now() + RESTART_RECONNECT_TIMEOUT;
+    await utils.delay(RESTART_SETTLE_DELAY);
+
+    while (Date.now() < deadline) {
+      const ports = await navigator.serial.getPorts();
+      const candidates = ports.filter((port) =>
+        serial.matchesPortInfo(port, portInfo)
       );
-      return;
-    }
-
-    try {
-      updateInProgress = true;
-      ui.updateUpdateState(true);
-      utils.hideStatus(elements.updateStatus);
-      utils.updateProgress(0, "Checking device status...");
 
-      try {
-        const statusResponse = await serial.sendCommand(
-          SERIAL_COMMANDS.GET_STATUS
-        );
-
-        if (statusResponse && statusResponse.update_active) {
-          await serial.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
-          await new Promise((resolve) => setTimeout(resolve, 1000));
+      for (const port of candidates) {
+        try {
+          await serial.openPort(port);
+          return true;
+        } catch (error) {
+          // Still enumerating, or not the port we are after
+          console.debug("Port not ready:", error.message);
         }
-      } catch (error) {
-        console.warn("Failed to get status:", error);
       }
 
-      utils.updateProgress(1, "Resetting device state...");
+      await utils.delay(RESTART_POLL_INTERVAL);
+    }
 
-      try {
-        await serial.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
-        await new Promise((resolve) => setTimeout(resolve, 500));
-      } catch (error) {
-        console.warn("Abort command failed:", error);
-      }
+    return false;
+  },
 
-      utils.updateProgress(3, "Starting new update...");
+  /**
+   * Safely disconnects from the device and cleans up resources
+   * @returns {Promise<boolean>} - True if disconnect successful
+   */
+  async disconnect() {
+    utils.resetProgress();
+    utils.hideStatus(elements.updateStatus);
+    utils.hideStatus(elements.integrityStatus);
+    utils.hideStatus(elements.connectionStatus);
 
-      console.log(`Starting update: ${file.size} bytes, type: ${updateType}`);
+    if (!isConnected && !serial.connection.port) {
+      return true;
+    }
 
-      const startResponse = await serial.sendCommandWithRetry(
-        SERIAL_COMMANDS.START_UPDATE,
-        `${file.size},${updateType}`,
-        2
-      );
+    try {
+      isConnected = false;
+      await serial.connection.close();
 
-      if (!startResponse || !startResponse.success) {
-        throw new Error(
-          startResponse?.message || "START_UPDATE command failed"
-        );
-      }
+      deviceInfo = null;
+      partitionInfo = null;
+      storageInfo = null;
+      ui.updateConnectionState(false);
 
-      if (startResponse.state !== "RECEIVING") {
-        throw new Error(
-          `Expected RECEIVING state, got: ${startResponse.state}`
-        );
+      if (elements.firmwareFile) {
+        elements.firmwareFile.value = "";
+      }
+      if (elements.updateType) {
+        elements.updateType.value = "firmware"; // Reset to default firmware type
       }
 
-      utils.updateProgress(5, "Reading firmware file...");
-
-      const arrayBuffer = await file.arrayBuffer();
-      const totalChunks = Math.ceil(arrayBuffer.byteLength / CHUNK_SIZE);
+      return true;
+    } catch (error) {
+      console.error("Disconnect failed:", error);
+      // Force cleanup even if there were errors
+      isConnected = false;
+      deviceInfo = null;
+      partitionInfo = null;
+      storageInfo = null;
+      ui.updateConnectionState(false);
+      return false;
+    }
+  },
 
-      console.log(
-        `File read: ${arrayBuffer.byteLength} bytes in ${totalChunks} chunks of ${CHUNK_SIZE} bytes each`
-      );
-      utils.updateProgress(10, "Starting upload...");
+  /**
+   * Creates a connection that speaks the command protocol over one port. The
+   * connected device and every batch device each get their own, so pending
+   * requests, chunk framing and subscribers never mix between ports.
+   * @returns {Object} - Connection with open, close and the request methods
+   */
+  createConnection() {
+    const connection = {
+      port: null, // Open SerialPort
+      reader: null, // ReadableStreamDefaultReader
+      writer: null, // WritableStreamDefaultWriter
+      info: null, // GET_INFO answer of the device on this port
+      pendingRequests: new Map(), // Requests awaiting a response or a late reply, keyed by request ID
+      nextRequestId: 1, // ID assigned to the next outgoing request
+      requestIds: false, // True when the firmware echoes request IDs
+      chunkAckHandler: null, // Receives sequence-tagged ACKs during pipelined transfers
+      subscribers: {
+        progress: new Set(), // PROGRESS: messages
+        event: new Set(), // EVENT: messages and unmatched responses
+        log: new Set(), // Lines outside the response protocol
+        traffic: new Set(), // Raw lines in both directions, for the console
+      },
+      binaryFraming: false, // True once SET_FRAMING has switched chunks to binary
+
+      /**
+       * Opens a port and starts listening on it
+       * @param {SerialPort} port - Port to open
+       * @returns {Promise<void>} - Resolves once the port is open
+       */
+      async open(port) {
+        await port.open(SERIAL_CONFIG);
+
+        connection.port = port;
+        connection.reader = port.readable.getReader();
+        connection.writer = port.writable.getWriter();
+        connection.startListening();
+      },
+
+      /**
+       * Fails pending requests, forgets what was negotiated and closes the
+       * port. Subscribers stay registered for the next port.
+       * @returns {Promise<void>} - Resolves once the port is closed
+       */
+      async close() {
+        const { port, reader, writer } = connection;
+        connection.port = null;
+        connection.reader = null;
+        connection.writer = null;
+        connection.info = null;
+        connection.requestIds = false;
+        connection.chunkAckHandler = null;
+        connection.binaryFraming = false;
+        connection.rejectPendingRequests("Disconnected from device");
+
+        if (reader) {
+          try {
+            await reader.cancel();
+          } catch (e) {
+            console.warn("Reader cancel failed:", e);
+          }
 
-      const startTime = performance.now();
-      let bytesTransferred = 0;
-      let consecutiveErrors = 0;
-      const maxConsecutiveErrors = 3;
+          try {
+            reader.releaseLock();
+          } catch (e) {
+            console.warn("Reader release failed:", e);
+          }
+        }
 
-      for (let i = 0; i < totalChunks; i++) {
-        const start = i * CHUNK_SIZE;
-        const end = Math.min(start + CHUNK_SIZE, arrayBuffer.byteLength);
-        const chunk = arrayBuffer.slice(start, end);
-        const base64Chunk = utils.arrayBufferToBase64(chunk);
+        if (writer) {
+          try {
+            await writer.close();
+          } catch (e) {
+            console.warn("Writer close failed:", e);
+          }
+        }
 
-        if (i % 50 === 0 || i === totalChunks - 1) {
-          const transferProgress = 10 + (i / totalChunks) * 80;
+        await new Promise((resolve) => setTimeout(resolve, 100));
 
-          utils.updateProgress(
-            transferProgress,
-            `Uploading: ${Math.round(
-              transferProgress
-            )}% Do not disconnect device.`
+        if (port) {
+          try {
+            await port.close();
+          } catch (e) {
+            console.warn("Serial port close failed:", e);
+          }
+        }
+      },
+
+      /**
+       * Sends a command to the device and waits for response
+       * @param {string} command - Command to send
+       * @param {string} data - Optional command data
+       * @param {number} customTimeout - Custom timeout in milliseconds
+       * @returns {Promise<Object>} - Parsed JSON response from device
+       */
+      async sendCommand(command, data = "", customTimeout = COMMAND_TIMEOUT) {
+        const timeoutMs =
+          command === SERIAL_COMMANDS.SEND_CHUNK
+            ? CHUNK_TIMEOUT
+            : customTimeout;
+
+        return connection.sendRequest(command, timeoutMs, (id) =>
+          connection.encodeCommand(command, data, id)
+        );
+      },
+
+      /**
+       * Encodes a text command line, prefixed with its request ID when supported
+       * @param {string} command - Command to send
+       * @param {string} data - Optional command data
+       * @param {number|null} id - Request ID, or null for fire-and-forget writes
+       * @returns {Uint8Array} - Encoded command line
+       */
+      encodeCommand(command, data = "", id = null) {
+        const prefix =
+          connection.requestIds && id !== null
+            ? `${REQUEST_ID_PREFIX}${id}:`
+            : "";
+        const commandString = data
+          ? `${prefix}${command}:${data}\n`
+          : `${prefix}${command}\n`;
+        return new TextEncoder().encode(commandString);
+      },
+
+      /**
+       * Registers a pending request, writes it and waits for the matching response
+       * @param {string} command - Command name, for logging and errors
+       * @param {number} timeoutMs - Response timeout in milliseconds
+       * @param {Function} encode - Receives the request ID, returns the bytes to write
+       * @param {number|null} sequence - Chunk frame sequence the ACK will echo, if any
+       * @returns {Promise<Object>} - Parsed JSON response from device
+       */
+      async sendRequest(command, timeoutMs, encode, sequence = null) {
+        // Without request IDs nothing is sent while a late reply may still come
+        while (!connection.requestIds) {
+          const held = Array.from(connection.pendingRequests.values()).find(
+            (request) => request.drained
           );
+          if (!held) break;
+          await held.drained;
+        }
+        if (!connection.writer) {
+          throw new Error("Not connected to device");
         }
 
-        try {
-          const chunkResponse = await serial.sendCommand(
-            SERIAL_COMMANDS.SEND_CHUNK,
-            base64Chunk
-          );
+        const id = connection.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+          const timeout = setTimeout(() => {
+            console.error(`Command timeout (${timeoutMs}ms): ${command}`);
+            if (connection.requestIds) {
+              connection.pendingRequests.delete(id);
+            } else {
+              connection.holdForLateReply(id, command, sequence);
+            }
+            reject(new Error(`Command timeout: ${command}`));
+          }, timeoutMs);
+
+          connection.pendingRequests.set(id, {
+            id,
+            command,
+            sequence,
+            handle(response) {
+              clearTimeout(timeout);
+              if (response && response.success !== undefined) {
+                resolve(response);
+              } else {
+                console.error(`Invalid response for ${command}:`, response);
+                reject(new Error(`Invalid response for ${command}`));
+              }
+            },
+            cancel(error) {
+              clearTimeout(timeout);
+              reject(error);
+            },
+          });
+
+          connection.write(encode(id)).catch((error) => {
+            clearTimeout(timeout);
+            connection.pendingRequests.delete(id);
+            console.error("Write failed:", error);
+            reject(error);
+          });
+        });
+      },
+
+      /**
+       * Keeps a timed-out request queued in its place when the firmware has
+       * no request IDs. Replies are matched by order, so the late reply must
+       * be consumed here rather than handed to the next command, which
+       * sendRequest holds back until the entry is dropped: once the reply
+       * arrives or LATE_REPLY_TIMEOUT passes.
+       * @param {number} id - Request ID of the timed-out request
+       * @param {string} command - Command name, for logging
+       * @param {number|null} sequence - Chunk frame sequence the ACK will echo, if any
+       */
+      holdForLateReply(id, command, sequence) {
+        let release;
+        const drained = new Promise((resolve) => (release = resolve));
+        const timeout = setTimeout(() => {
+          connection.pendingRequests.delete(id);
+          release();
+        }, LATE_REPLY_TIMEOUT);
+        const finish = () => {
+          clearTimeout(timeout);
+          release();
+        };
+
+        connection.pendingRequests.set(id, {
+          id,
+          command,
+          sequence,
+          drained,
+          handle(response) {
+            console.warn(`Dropping late response to ${command}:`, response);
+            finish();
+          },
+          cancel: finish,
+        });
+      },
+
+      /**
+       * Fails every pending request, e.g. when the port closes
+       * @param {string} reason - Error message passed to each waiting caller
+       */
+      rejectPendingRequests(reason) {
+        const requests = Array.from(connection.pendingRequests.values());
+        connection.pendingRequests.clear();
+        requests.forEach((request) => request.cancel(new Error(reason)));
+      },
+
+      /**
+       * Writes a command without waiting for a response. Used for pipelined chunk
+       * frames, whose ACKs are delivered to connection.chunkAckHandler.
+       * @param {string} command - Command to send
+       * @param {string} data - Optional command data
+       * @returns {Promise<void>} - Resolves once the command has been written
+       */
+      async writeCommand(command, data = "") {
+        if (!connection.writer) {
+          throw new Error("Not connected to device");
+        }
 
-          if (!chunkResponse || !chunkResponse.success) {
-            consecutiveErrors++;
-            throw new Error(
-              chunkResponse?.message || `Chunk ${i + 1} rejected by device`
-            );
+        await connection.write(connection.encodeCommand(command, data));
+      },
+
+      /**
+       * Writes encoded bytes to the port and reports them as console traffic
+       * @param {Uint8Array} bytes - Encoded command line or binary frame
+       * @returns {Promise<void>} - Resolves once the bytes have been written
+       */
+      write(bytes) {
+        if (connection.subscribers.traffic.size > 0) {
+          const text =
+            bytes[0] === 0x00
+              ? `[binary frame, ${bytes.length} bytes]`
+              : new TextDecoder().decode(bytes).trim();
+          connection.emit("traffic", { direction: "tx", text });
+        }
+        return connection.writer.write(bytes);
+      },
+
+      /**
+       * Sends a sequenced chunk frame and waits for its ACK
+       * @param {number} sequence - Frame sequence number
+       * @param {number} offset - Byte offset of the chunk within the image
+       * @param {Uint8Array} chunk - Chunk data
+       * @returns {Promise<Object>} - Parsed ACK from device
+       */
+      async sendChunk(sequence, offset, chunk) {
+        const encode = connection.binaryFraming
+          ? () => serial.encodeBinaryChunk(sequence, offset, chunk)
+          : (id) =>
+              connection.encodeCommand(
+                SERIAL_COMMANDS.SEND_CHUNK,
+                serial.encodeChunkFrame(sequence, offset, chunk),
+                id
+              );
+
+        return connection.sendRequest(
+          SERIAL_COMMANDS.SEND_CHUNK,
+          CHUNK_TIMEOUT,
+          encode,
+          sequence
+        );
+      },
+
+      /**
+       * Writes a sequenced chunk frame without waiting for its ACK
+       * @param {number} sequence - Frame sequence number
+       * @param {number} offset - Byte offset of the chunk within the image
+       * @param {Uint8Array} chunk - Chunk data
+       * @returns {Promise<void>} - Resolves once the frame has been written
+       */
+      async writeChunk(sequence, offset, chunk) {
+        if (connection.binaryFraming) {
+          if (!connection.writer) {
+            throw new Error("Not connected to device");
           }
+          await connection.write(
+            serial.encodeBinaryChunk(sequence, offset, chunk)
+          );
+          return;
+        }
+        await connection.writeCommand(
+          SERIAL_COMMANDS.SEND_CHUNK,
+          serial.encodeChunkFrame(sequence, offset, chunk)
+        );
+      },
 
-          consecutiveErrors = 0;
-          if (i < totalChunks - 1) {
-            await new Promise((resolve) => setTimeout(resolve, 1));
-          }
-        } catch (chunkError) {
-          consecutiveErrors++;
-          console.error(
-            `Chunk ${i + 1} failed (${consecutiveErrors} consecutive errors):`,
-            chunkError
+      /**
+       * Switches chunk data to binary framing when the firmware supports it. Any
+       * failure leaves the connection on the text protocol.
+       * @returns {Promise<void>} - Resolves once negotiation has settled
+       */
+      async negotiateFraming() {
+        connection.binaryFraming = false;
+        if (!deviceInfo?.binary_framing) return;
+
+        try {
+          const response = await connection.sendCommand(
+            SERIAL_COMMANDS.SET_FRAMING,
+            BINARY_FRAMING
           );
+          connection.binaryFraming = Boolean(response && response.success);
+        } catch (error) {
+          console.warn("Binary framing negotiation failed:", error);
+        }
 
-          if (consecutiveErrors >= maxConsecutiveErrors) {
-            throw new Error(
-              `Too many consecutive errors (${consecutiveErrors}). Last error: ${chunkError.message}`
+        console.log(
+          `Chunk transport: ${
+            connection.binaryFraming ? "binary (COBS)" : "text"
+          }`
+        );
+      },
+
+      /**
+       * Sends a command with automatic retry on failure
+       * @param {string} command - Command to send
+       * @param {string} data - Optional command data
+       * @param {number} retries - Number of retry attempts
+       * @returns {Promise<Object>} - Parsed JSON response from device
+       */
+      async sendCommandWithRetry(command, data = "", retries = MAX_RETRIES) {
+        for (let attempt = 1; attempt <= retries; attempt++) {
+          try {
+            const result = await connection.sendCommand(command, data);
+            return result;
+          } catch (error) {
+            console.warn(
+              `Command ${command} attempt ${attempt} failed:`,
+              error
             );
+            if (attempt === retries) {
+              throw error;
+            }
+            const retryDelay =
+              command === SERIAL_COMMANDS.SEND_CHUNK ? 100 : 50;
+            await new Promise((resolve) => setTimeout(resolve, retryDelay));
           }
-
-          i--;
-          continue;
         }
+      },
 
-        bytesTransferred = end;
-      }
+      /**
+       * Starts listening for incoming serial data and processes responses
+       */
+      async startListening() {
+        const reader = connection.reader;
+        const decoder = new TextDecoder();
+        let buffer = "";
 
-      const totalTime = (performance.now() - startTime) / 1000;
-      const avgSpeed = arrayBuffer.byteLength / totalTime;
-      console.log(
-        `Transfer completed: ${utils.formatBytes(
-          arrayBuffer.byteLength
-        )} in ${totalTime.toFixed(2)}s (${utils.formatBytes(avgSpeed)}/s)`
-      );
+        try {
+          while (connection.reader === reader) {
+            const { value, done } = await reader.read();
 
-      utils.updateProgress(95, "Finalizing update...");
+            if (done) break;
 
-      const finishResponse = await serial.sendCommandWithRetry(
-        SERIAL_COMMANDS.FINISH_UPDATE
-      );
+            buffer += decoder.decode(value, { stream: true });
 
-      if (!finishResponse || !finishResponse.success) {
-        throw new Error(finishResponse?.message || "Failed to finish update");
-      }
+            let lines = buffer.split("\n");
+            buffer = lines.pop() || "";
 
-      utils.updateProgress(100, "Update completed successfully!");
-      utils.showStatus(
-        elements.updateStatus,
-        "Update completed! Device will restart automatically.",
-        "success"
-      );
+            for (const line of lines) {
+              if (line.trim()) {
+                connection.emit("traffic", {
+                  direction: "rx",
+                  text: line.trim(),
+                });
+                connection.handleResponse(line.trim());
+              }
+            }
+          }
+        } catch (error) {
+          if (error.name !== "AbortError") {
+            console.error("Serial reading error:", error);
+          }
+        }
 
-      if (elements.firmwareFile) {
-        elements.firmwareFile.value = "";
-        if (elements.uploadBtn) {
-          elements.uploadBtn.disabled = true;
+        // The stream ended without close(), so the device went away
+        if (connection.reader === reader) {
+          connection.rejectPendingRequests("Device disconnected");
+        }
+      },
+
+      /**
+       * Processes incoming responses from the device
+       * @param {string} line - Raw response line from device
+       */
+      handleResponse(line) {
+        const prefixes = [
+          [RESPONSE_PREFIXES.OK, null],
+          [RESPONSE_PREFIXES.ERROR, null],
+          [RESPONSE_PREFIXES.PROGRESS, "progress"],
+          [RESPONSE_PREFIXES.EVENT, "event"],
+        ];
+        const match = prefixes.find(([prefix]) => line.startsWith(prefix));
+
+        if (!match) {
+          connection.emit("log", line);
+          return;
         }
-      }
 
-      updateInProgress = false;
-      ui.updateUpdateState(false);
+        const [prefix, messageType] = match;
+        const jsonStr = line.substring(prefix.length);
+        let response = null;
 
-      setTimeout(async () => {
         try {
-          await serial.disconnect();
-          utils.showStatus(
-            elements.connectionStatus,
-            "Update completed successfully. Device is restarting. You can reconnect when ready.",
-            "success"
-          );
-        } catch (disconnectError) {
-          console.warn(
-            "Failed to disconnect after successful update:",
-            disconnectError
-          );
+          response = JSON.parse(jsonStr);
+        } catch (e) {
+          console.error(`Failed to parse ${prefix} response:`, jsonStr, e);
+          return;
         }
-      }, 2000);
-    } catch (error) {
-      console.error("Update failed:", error);
-      utils.showStatus(
-        elements.updateStatus,
-        `Update failed: ${error.message}`,
-        "error"
-      );
-      updateInProgress = false;
-      ui.updateUpdateState(false);
 
-      try {
-        await serial.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
-      } catch (abortError) {
-        console.warn("Failed to abort update after error:", abortError);
-      }
+        if (prefix === RESPONSE_PREFIXES.ERROR) {
+          response.success = false;
+        }
+
+        if (messageType) {
+          connection.emit(messageType, response);
+        } else {
+          connection.dispatchResponse(response);
+        }
+      },
+
+      /**
+       * Routes a command response to the request that is waiting for it. Responses
+       * are matched by request ID, then by chunk sequence; firmware without request
+       * IDs answers in order, so the oldest pending request gets the response. A
+       * request that timed out there stays queued until its late reply has been
+       * consumed (see holdForLateReply). Anything left over is a late reply or an
+       * unsolicited message.
+       * @param {Object} response - Parsed OK:/ERROR: response
+       */
+      dispatchResponse(response) {
+        const pending = Array.from(connection.pendingRequests.values());
+        let request = null;
+
+        if (Number.isInteger(response.id)) {
+          request = connection.pendingRequests.get(response.id);
+        } else if (Number.isInteger(response.seq)) {
+          request = pending.find((entry) => entry.sequence === response.seq);
+        } else if (!connection.requestIds && pending.length > 0) {
+          request = pending[0];
+        }
+
+        if (request) {
+          connection.pendingRequests.delete(request.id);
+          request.handle(response);
+        } else if (
+          connection.chunkAckHandler &&
+          Number.isInteger(response.seq)
+        ) {
+          connection.chunkAckHandler(response);
+        } else if (
+          Number.isInteger(response.id) ||
+          Number.isInteger(response.seq)
+        ) {
+          console.warn("Dropping late response:", response);
+        } else {
+          connection.emit("event", response);
+        }
+      },
+
+      /**
+       * Subscribes to unsolicited device messages
+       * @param {string} type - Message type (progress, event, log or traffic)
+       * @param {Function} handler - Called with the parsed message or raw line
+       * @returns {Function} - Unsubscribe function
+       */
+      subscribe(type, handler) {
+        connection.subscribers[type].add(handler);
+        return () => connection.subscribers[type].delete(handler);
+      },
+
+      /**
+       * Delivers an unsolicited message to its subscribers
+       * @param {string} type - Message type (progress, event, log or traffic)
+       * @param {Object|string} message - Parsed message or raw line
+       */
+      emit(type, message) {
+        connection.subscribers[type].forEach((handler) => {
+          try {
+            handler(message);
+          } catch (error) {
+            console.error(`${type} subscriber failed:`, error);
+          }
+        });
+      },
+    };
+    return connection;
+  },
+
+  /**
+   * Sends a command to the connected device and waits for response
+   * @param {string} command - Command to send
+   * @param {string} data - Optional command data
+   * @param {number} customTimeout - Custom timeout in milliseconds
+   * @returns {Promise<Object>} - Parsed JSON response from device
+   */
+  sendCommand(command, data = "", customTimeout = COMMAND_TIMEOUT) {
+    return serial.connection.sendCommand(command, data, customTimeout);
+  },
+
+  /**
+   * Sends a command to the connected device with automatic retry on failure
+   * @param {string} command - Command to send
+   * @param {string} data - Optional command data
+   * @param {number} retries - Number of retry attempts
+   * @returns {Promise<Object>} - Parsed JSON response from device
+   */
+  sendCommandWithRetry(command, data = "", retries = MAX_RETRIES) {
+    return serial.connection.sendCommandWithRetry(command, data, retries);
+  },
+
+  /**
+   * Subscribes to unsolicited messages from the connected device
+   * @param {string} type - Message type (progress, event, log or traffic)
+   * @param {Function} handler - Called with the parsed message or raw line
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(type, handler) {
+    return serial.connection.subscribe(type, handler);
+  },
+
+  /**
+   * Builds a versioned text SEND_CHUNK payload carrying sequence, offset and CRC-32
+   * @param {number} sequence - Frame sequence number
+   * @param {number} offset - Byte offset of the chunk within the image
+   * @param {Uint8Array} chunk - Chunk data
+   * @returns {string} - Frame payload (v2,<seq>,<offset>,<crc32>,<base64>)
+   */
+  encodeChunkFrame(sequence, offset, chunk) {
+    const crc = utils.crc32(chunk).toString(16).padStart(8, "0");
+    return `v${CHUNK_PROTOCOL_VERSION},${sequence},${offset},${crc},${utils.arrayBufferToBase64(
+      chunk
+    )}`;
+  },
+
+  /**
+   * Builds a delimited, COBS-encoded binary chunk frame
+   * @param {number} sequence - Frame sequence number
+   * @param {number} offset - Byte offset of the chunk within the image
+   * @param {Uint8Array} chunk - Chunk data
+   * @returns {Uint8Array} - Bytes ready to write to the port
+   */
+  encodeBinaryChunk(sequence, offset, chunk) {
+    const payload = new Uint8Array(4 + chunk.length);
+    new DataView(payload.buffer).setUint32(0, offset, true);
+    payload.set(chunk, 4);
+    return serial.encodeBinaryFrame(
+      BINARY_FRAME_TYPES.CHUNK,
+      sequence,
+      payload
+    );
+  },
+
+  /**
+   * Wraps a payload in a typed, length-prefixed, CRC-protected binary frame
+   * @param {number} type - One of BINARY_FRAME_TYPES
+   * @param {number} sequence - Frame sequence number
+   * @param {Uint8Array} payload - Frame payload
+   * @returns {Uint8Array} - 0x00-delimited COBS frame
+   */
+  encodeBinaryFrame(type, sequence, payload) {
+    const bodyLength = BINARY_FRAME_HEADER_SIZE + payload.length;
+    const frame = new Uint8Array(bodyLength + 4);
+    const view = new DataView(frame.buffer);
+
+    view.setUint8(0, type);
+    view.setUint32(1, sequence, true);
+    view.setUint16(5, payload.length, true);
+    frame.set(payload, BINARY_FRAME_HEADER_SIZE);
+    view.setUint32(
+      bodyLength,
+      utils.crc32(frame.subarray(0, bodyLength)),
+      true
+    );
+
+    const encoded = utils.cobsEncode(frame);
+    const packet = new Uint8Array(encoded.length + 2);
+    packet.set(encoded, 1);
+    return packet;
+  },
+};
+
+//==============================================================================
+// SERIAL CONSOLE MODULE
+//==============================================================================
+
+/**
+ * Console limits. Base64 runs of CONSOLE_PAYLOAD_THRESHOLD characters or more
+ * (chunk and file data) are shortened on screen so transfers stay readable;
+ * exported logs and diagnostics keep the full lines.
+ */
+const CONSOLE_MAX_ENTRIES = 2000;
+const CONSOLE_RENDER_INTERVAL = 100; // Delay before new lines are drawn (ms)
+const CONSOLE_PAYLOAD_THRESHOLD = 128;
+const CONSOLE_PAYLOAD_PREVIEW = 32;
+const ANSI_ESCAPE_PATTERN = /\x1b\[[0-9;]*[A-Za-z]/g;
+const CONSOLE_DIRECTION_LABELS = { rx: "RX", tx: "TX", info: "--" };
+
+/**
+ * Records raw serial traffic for the console panel and sends free-form
+ * commands. Lines are recorded while the view is paused, so an export always
+ * holds the full history up to CONSOLE_MAX_ENTRIES.
+ */
+const deviceConsole = {
+  entries: [], // Recorded lines, oldest first
+  pending: [], // Lines recorded since the view was last drawn
+  unseen: 0, // Lines recorded while paused
+  paused: false, // True while the view is frozen
+  scrollLock: false, // True to keep the view from following new lines
+  filter: "", // Lower-case text that visible lines must contain
+  direction: "all", // Visible direction: all, rx or tx
+  renderTimer: null, // Pending view refresh
+
+  /**
+   * Records one line of traffic
+   * @param {string} direction - rx, tx or info
+   * @param {string} text - Line without its terminator
+   */
+  record(direction, text) {
+    const entry = {
+      time: new Date(),
+      direction,
+      text: text.replace(ANSI_ESCAPE_PATTERN, ""),
+    };
+
+    deviceConsole.entries.push(entry);
+    if (deviceConsole.entries.length > CONSOLE_MAX_ENTRIES) {
+      deviceConsole.entries.shift();
+    }
+
+    if (deviceConsole.paused) {
+      deviceConsole.unseen++;
+      ui.updateConsoleState();
+      return;
+    }
+
+    deviceConsole.pending.push(entry);
+    if (!deviceConsole.renderTimer) {
+      deviceConsole.renderTimer = setTimeout(() => {
+        deviceConsole.renderTimer = null;
+        ui.appendConsoleEntries(deviceConsole.pending);
+        deviceConsole.pending = [];
+      }, CONSOLE_RENDER_INTERVAL);
+    }
+  },
+
+  /**
+   * Shortens long base64 payloads, e.g. SEND_CHUNK and WRITE_FILE data
+   * @param {string} text - Line to shorten
+   * @returns {string} - Line with payloads replaced by a preview and length
+   */
+  abbreviate(text) {
+    const pattern = new RegExp(
+      `[A-Za-z0-9+/]{${CONSOLE_PAYLOAD_THRESHOLD},}={0,2}`,
+      "g"
+    );
+    return text.replace(
+      pattern,
+      (payload) =>
+        `${payload.slice(0, CONSOLE_PAYLOAD_PREVIEW)}… (${
+          payload.length
+        } chars)`
+    );
+  },
+
+  /**
+   * Formats an entry as a log line
+   * @param {Object} entry - Recorded entry
+   * @param {boolean} full - Keep payloads whole instead of abbreviating them
+   * @returns {string} - e.g. 14:02:07.315 RX OK:{"success":true}
+   */
+  formatEntry(entry, full = false) {
+    const time = `${entry.time.toTimeString().slice(0, 8)}.${String(
+      entry.time.getMilliseconds()
+    ).padStart(3, "0")}`;
+    const text = full ? entry.text : deviceConsole.abbreviate(entry.text);
+    return `${time} ${CONSOLE_DIRECTION_LABELS[entry.direction]} ${text}`;
+  },
+
+  /**
+   * Checks an entry against the direction and text filters
+   * @param {Object} entry - Recorded entry
+   * @returns {boolean} - True if the entry should be shown
+   */
+  matches(entry) {
+    if (
+      deviceConsole.direction !== "all" &&
+      entry.direction !== "info" &&
+      entry.direction !== deviceConsole.direction
+    ) {
+      return false;
+    }
+    return (
+      !deviceConsole.filter ||
+      entry.text.toLowerCase().includes(deviceConsole.filter)
+    );
+  },
+
+  /**
+   * Applies the filter controls and redraws the view
+   */
+  applyFilter() {
+    deviceConsole.filter = (elements.consoleFilter?.value || "")
+      .trim()
+      .toLowerCase();
+    deviceConsole.direction = elements.consoleDirection?.value || "all";
+    deviceConsole.redraw();
+  },
+
+  /**
+   * Redraws every recorded entry that passes the filters
+   */
+  redraw() {
+    clearTimeout(deviceConsole.renderTimer);
+    deviceConsole.renderTimer = null;
+    deviceConsole.pending = [];
+    ui.appendConsoleEntries(deviceConsole.entries, true);
+  },
+
+  /**
+   * Freezes or resumes the view. Resuming draws the lines recorded meanwhile.
+   */
+  togglePause() {
+    deviceConsole.paused = !deviceConsole.paused;
+    deviceConsole.unseen = 0;
+    if (!deviceConsole.paused) {
+      deviceConsole.redraw();
+    }
+    ui.updateConsoleState();
+  },
+
+  /**
+   * Stops or restarts following new lines
+   */
+  toggleScrollLock() {
+    deviceConsole.scrollLock = !deviceConsole.scrollLock;
+    ui.updateConsoleState();
+  },
+
+  /**
+   * Discards every recorded line
+   */
+  clear() {
+    deviceConsole.entries = [];
+    deviceConsole.unseen = 0;
+    deviceConsole.redraw();
+    ui.updateConsoleState();
+  },
+
+  /**
+   * Saves every recorded line, regardless of the filters, as a .log file
+   */
+  exportLog() {
+    if (deviceConsole.entries.length === 0) return;
+
+    const stamp = new Date()
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace("T", "-")
+      .slice(0, 15);
+    const header = `# BYTE-90 serial console, firmware ${
+      deviceInfo?.firmware_version || "unknown"
+    }, exported ${new Date().toISOString()}`;
+    const lines = deviceConsole.entries.map((entry) =>
+      deviceConsole.formatEntry(entry, true)
+    );
+
+    utils.downloadBlob(
+      new Blob([[header, ...lines].join("\n") + "\n"], {
+        type: "text/plain",
+      }),
+      `byte90-console-${stamp}.log`
+    );
+  },
+
+  /**
+   * Checks whether the installer is using the connection for an operation of
+   * its own, during which free-form commands could disturb the device
+   * @returns {boolean} - True if commands are blocked
+   */
+  isLocked() {
+    return (
+      !isConnected ||
+      updateInProgress ||
+      fileManager.busy ||
+      backup.busy ||
+      serial.reconnecting
+    );
+  },
+
+  /**
+   * Sends the command typed into the console. The text before the first colon
+   * is the command and the rest is its data, e.g. GET_INFO or READ_FILE:/a,0,64.
+   * The reply shows up as RX traffic; failures are recorded as notes.
+   * @returns {Promise<void>} - Resolves once the device has answered
+   */
+  async sendCommand() {
+    const line = elements.consoleCommand?.value.trim();
+    if (!line || deviceConsole.isLocked()) return;
+
+    const separator = line.indexOf(":");
+    const command = separator === -1 ? line : line.slice(0, separator);
+    const data = separator === -1 ? "" : line.slice(separator + 1);
+
+    elements.consoleCommand.value = "";
+
+    try {
+      const response = await serial.sendCommand(command, data);
+      if (!response.success) {
+        deviceConsole.record(
+          "info",
+          `${command} failed: ${response.message || "device returned an error"}`
+        );
+      }
+    } catch (error) {
+      deviceConsole.record("info", `${command} failed: ${error.message}`);
+    }
+  },
+};
+
+//==============================================================================
+// SYMBOL FILE MODULE
+//==============================================================================
+
+/**
+ * ELF32 and DWARF values used to map code addresses to functions and lines
+ */
+const ELF_MAGIC = 0x464c457f; // "\x7fELF" read as a little-endian word
+const ELF_CLASS_32 = 1;
+const ELF_DATA_LSB = 1;
+const ELF_SECTION_HEADER_SIZE = 40;
+const ELF_SECTION_SYMTAB = 2;
+const ELF_SYMBOL_SIZE = 16;
+const ELF_SYMBOL_FUNC = 2;
+const DWARF_FORMS = {
+  BLOCK: 0x09,
+  DATA1: 0x0b,
+  DATA2: 0x05,
+  DATA4: 0x06,
+  DATA8: 0x07,
+  DATA16: 0x1e,
+  LINE_STRP: 0x1f,
+  STRING: 0x08,
+  STRP: 0x0e,
+  UDATA: 0x0f,
+};
+const DWARF_LNCT_PATH = 1;
+const DWARF_LNCT_DIRECTORY_INDEX = 2;
+
+/**
+ * Loads function names and source lines from a firmware ELF file, or function
+ * names from an `nm -S` symbol map, and resolves code addresses against them.
+ * Source lines come from the DWARF .debug_line tables (versions 2 to 5).
+ */
+const symbolFile = {
+  /**
+   * Parses an ELF file or a symbol map
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {string} name - File name, shown with decoded crashes
+   * @returns {Promise<Object>} - `{ name, sha256, functions, elf }`; sha256
+   *   and elf are null for symbol maps
+   */
+  async load(buffer, name) {
+    const isElf =
+      buffer.byteLength >= 4 &&
+      new DataView(buffer).getUint32(0, true) === ELF_MAGIC;
+
+    if (!isElf) {
+      return {
+        name,
+        sha256: null,
+        functions: symbolFile.parseSymbolMap(new TextDecoder().decode(buffer)),
+        elf: null,
+      };
+    }
+
+    const elf = symbolFile.parseElf(buffer);
+    return {
+      name,
+      sha256: await utils.computeHash(buffer, HASH_ALGORITHMS.SHA256),
+      functions: symbolFile.readFunctions(elf),
+      elf,
+    };
+  },
+
+  /**
+   * Reads the section headers of a 32-bit little-endian ELF file
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {Object} - `{ view, headers, sections }` where sections maps
+   *   section names to headers
+   */
+  parseElf(buffer) {
+    const view = new DataView(buffer);
+    if (
+      view.getUint8(4) !== ELF_CLASS_32 ||
+      view.getUint8(5) !== ELF_DATA_LSB
+    ) {
+      throw new Error("Only 32-bit little-endian ELF files are supported");
+    }
+
+    const tableOffset = view.getUint32(0x20, true);
+    const count = view.getUint16(0x30, true);
+    const namesIndex = view.getUint16(0x32, true);
+    if (tableOffset + count * ELF_SECTION_HEADER_SIZE > buffer.byteLength) {
+      throw new Error("ELF section table is truncated");
+    }
+
+    const headers = [];
+    for (let i = 0; i < count; i++) {
+      const base = tableOffset + i * ELF_SECTION_HEADER_SIZE;
+      headers.push({
+        nameOffset: view.getUint32(base, true),
+        type: view.getUint32(base + 4, true),
+        offset: view.getUint32(base + 16, true),
+        size: view.getUint32(base + 20, true),
+        link: view.getUint32(base + 24, true),
+      });
+    }
+
+    const names = headers[namesIndex];
+    const sections = {};
+    headers.forEach((header) => {
+      header.name = names
+        ? symbolFile
+            .createReader(view, names.offset + header.nameOffset)
+            .string()
+        : "";
+      sections[header.name] = header;
+    });
+
+    return { view, headers, sections };
+  },
+
+  /**
+   * Collects the function symbols from the ELF symbol table
+   * @param {Object} elf - Parsed ELF file
+   * @returns {Array<Object>} - `{ address, size, name }` sorted by address
+   */
+  readFunctions(elf) {
+    const symtab = elf.headers.find(
+      (header) => header.type === ELF_SECTION_SYMTAB
+    );
+    if (!symtab) {
+      throw new Error("ELF file has no symbol table (was it stripped?)");
+    }
+
+    const strtab = elf.headers[symtab.link];
+    const functions = [];
+    const end = symtab.offset + symtab.size;
+
+    for (
+      let offset = symtab.offset;
+      offset + ELF_SYMBOL_SIZE <= end;
+      offset += ELF_SYMBOL_SIZE
+    ) {
+      const address = elf.view.getUint32(offset + 4, true);
+      if (
+        (elf.view.getUint8(offset + 12) & 0xf) === ELF_SYMBOL_FUNC &&
+        address !== 0
+      ) {
+        functions.push({
+          address,
+          size: elf.view.getUint32(offset + 8, true),
+          name: symbolFile
+            .createReader(
+              elf.view,
+              strtab.offset + elf.view.getUint32(offset, true)
+            )
+            .string(),
+        });
+      }
+    }
+
+    return symbolFile.sortFunctions(functions);
+  },
+
+  /**
+   * Parses `nm` output with code symbols, with or without the -S size column
+   * (e.g. "400d1234 00000042 T loop")
+   * @param {string} text - Symbol map
+   * @returns {Array<Object>} - `{ address, size, name }` sorted by address
+   */
+  parseSymbolMap(text) {
+    const pattern =
+      /^\s*(?:0x)?([0-9a-f]{8})\s+(?:([0-9a-f]{8})\s+)?[tw]\s+(\S+)/i;
+    const functions = [];
+
+    text.split(/\r?\n/).forEach((line) => {
+      const match = pattern.exec(line);
+      if (match) {
+        functions.push({
+          address: parseInt(match[1], 16),
+          size: match[2] ? parseInt(match[2], 16) : 0,
+          name: match[3],
+        });
+      }
+    });
+
+    return symbolFile.sortFunctions(functions);
+  },
+
+  /**
+   * Sorts function symbols by address for binary search
+   * @param {Array<Object>} functions - Function symbols
+   * @returns {Array<Object>} - The same symbols, sorted
+   */
+  sortFunctions(functions) {
+    if (functions.length === 0) {
+      throw new Error("No function symbols found");
+    }
+    return functions.sort((a, b) => a.address - b.address);
+  },
+
+  /**
+   * Resolves code addresses to functions and, for ELF files, source lines
+   * @param {Object} symbols - Loaded symbol file
+   * @param {Array<number>} addresses - Code addresses
+   * @returns {Array<Object>} - `{ address, function, source }` per address;
+   *   function and source are null when unknown
+   */
+  resolve(symbols, addresses) {
+    const lines = symbols.elf
+      ? symbolFile.findLines(symbols.elf, addresses)
+      : new Map();
+
+    return addresses.map((address) => {
+      const symbol = symbolFile.findFunction(symbols.functions, address);
+      const line = lines.get(address);
+      let name = symbol ? symbol.name : null;
+
+      // Without a line number the offset is the only way to place the address
+      if (symbol && !line && address > symbol.address) {
+        name += `+0x${(address - symbol.address).toString(16)}`;
+      }
+
+      return {
+        address,
+        function: name,
+        source: line ? `${line.file}:${line.line}` : null,
+      };
+    });
+  },
+
+  /**
+   * Finds the function containing an address. Symbols without a size extend
+   * to the next symbol.
+   * @param {Array<Object>} functions - Function symbols sorted by address
+   * @param {number} address - Code address
+   * @returns {Object|null} - Matching symbol or null
+   */
+  findFunction(functions, address) {
+    let low = 0;
+    let high = functions.length - 1;
+    let match = null;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (functions[middle].address <= address) {
+        match = functions[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    if (!match || (match.size > 0 && address >= match.address + match.size)) {
+      return null;
+    }
+    return match;
+  },
+
+  /**
+   * Runs every DWARF line program and records the source line covering each
+   * address. Line tables that cannot be read are skipped.
+   * @param {Object} elf - Parsed ELF file
+   * @param {Array<number>} addresses - Code addresses
+   * @returns {Map<number, Object>} - `{ file, line }` keyed by address
+   */
+  findLines(elf, addresses) {
+    const found = new Map();
+    const section = elf.sections[".debug_line"];
+    if (!section) return found;
+
+    const end = section.offset + section.size;
+    let offset = section.offset;
+
+    while (offset < end && found.size < addresses.length) {
+      let length = elf.view.getUint32(offset, true);
+      let offsetSize = 4;
+      let start = offset + 4;
+
+      if (length === 0xffffffff) {
+        length = Number(elf.view.getBigUint64(offset + 4, true));
+        offsetSize = 8;
+        start = offset + 12;
+      }
+
+      try {
+        symbolFile.runLineProgram(
+          elf,
+          start,
+          start + length,
+          offsetSize,
+          addresses,
+          found
+        );
+      } catch (error) {
+        console.warn(`Skipping line table at 0x${offset.toString(16)}:`, error);
+      }
+      offset = start + length;
+    }
+
+    return found;
+  },
+
+  /**
+   * Runs one line number program. Each row covers the addresses up to the
+   * next row of the same sequence.
+   * @param {Object} elf - Parsed ELF file
+   * @param {number} start - File offset just after the unit length
+   * @param {number} end - File offset of the next unit
+   * @param {number} offsetSize - 4 for 32-bit DWARF, 8 for 64-bit DWARF
+   * @param {Array<number>} addresses - Code addresses to look for
+   * @param {Map<number, Object>} found - Receives `{ file, line }` matches
+   */
+  runLineProgram(elf, start, end, offsetSize, addresses, found) {
+    const reader = symbolFile.createReader(elf.view, start);
+    const version = reader.u16();
+    if (version < 2 || version > 5) {
+      throw new Error(`Unsupported DWARF line table version ${version}`);
+    }
+    if (version >= 5) {
+      reader.position += 2; // address_size, segment_selector_size
+    }
+
+    const headerLength = reader.offset(offsetSize);
+    const programStart = reader.position + headerLength;
+    const minimumLength = reader.u8();
+    if (version >= 4) {
+      reader.u8(); // maximum_operations_per_instruction
+    }
+    reader.u8(); // default_is_stmt
+    const lineBase = (reader.u8() << 24) >> 24;
+    const lineRange = reader.u8();
+    const opcodeBase = reader.u8();
+    const argumentCounts = [0];
+    for (let i = 1; i < opcodeBase; i++) {
+      argumentCounts.push(reader.u8());
+    }
+
+    const { directories, files } =
+      version >= 5
+        ? symbolFile.readEntryTables(elf, reader, offsetSize)
+        : symbolFile.readLegacyTables(reader);
+
+    const fileName = (index) => {
+      const file = files[index];
+      if (!file) return "??";
+      const directory = directories[file.directory || 0];
+      return directory && !/^([a-z]:)?[\\/]/i.test(file.name)
+        ? `${directory}/${file.name}`
+        : file.name;
+    };
+
+    let address = 0;
+    let file = 1;
+    let line = 1;
+    let previous = null;
+
+    const emitRow = (endSequence) => {
+      if (previous) {
+        addresses.forEach((target) => {
+          if (
+            !found.has(target) &&
+            target >= previous.address &&
+            target < address
+          ) {
+            found.set(target, {
+              file: fileName(previous.file),
+              line: previous.line,
+            });
+          }
+        });
+      }
+      previous = endSequence ? null : { address, file, line };
+    };
+
+    reader.position = programStart;
+    while (reader.position < end) {
+      const opcode = reader.u8();
+
+      if (opcode >= opcodeBase) {
+        const adjusted = opcode - opcodeBase;
+        address += Math.floor(adjusted / lineRange) * minimumLength;
+        line += lineBase + (adjusted % lineRange);
+        emitRow(false);
+      } else if (opcode === 0) {
+        const length = reader.uleb();
+        const next = reader.position + length;
+        const extended = reader.u8();
+        if (extended === 1) {
+          emitRow(true);
+          address = 0;
+          file = 1;
+          line = 1;
+        } else if (extended === 2) {
+          address = reader.u32();
+        } else if (extended === 3) {
+          files.push({ name: reader.string(), directory: reader.uleb() });
+        }
+        reader.position = next;
+      } else if (opcode === 1) {
+        emitRow(false);
+      } else if (opcode === 2) {
+        address += reader.uleb() * minimumLength;
+      } else if (opcode === 3) {
+        line += reader.sleb();
+      } else if (opcode === 4) {
+        file = reader.uleb();
+      } else if (opcode === 8) {
+        address += Math.floor((255 - opcodeBase) / lineRange) * minimumLength;
+      } else if (opcode === 9) {
+        address += reader.u16();
+      } else {
+        for (let i = 0; i < argumentCounts[opcode]; i++) {
+          reader.uleb();
+        }
+      }
+    }
+  },
+
+  /**
+   * Reads the include directory and file name lists of a DWARF 2-4 line table.
+   * Directory 0 is the compilation directory and file numbers start at 1.
+   * @param {Object} reader - Reader positioned at the directory list
+   * @returns {Object} - `{ directories, files }`
+   */
+  readLegacyTables(reader) {
+    const directories = [null];
+    for (let name = reader.string(); name; name = reader.string()) {
+      directories.push(name);
+    }
+
+    const files = [null];
+    for (let name = reader.string(); name; name = reader.string()) {
+      files.push({ name, directory: reader.uleb() });
+      reader.uleb(); // modification time
+      reader.uleb(); // length
+    }
+
+    return { directories, files };
+  },
+
+  /**
+   * Reads the self-describing directory and file tables of a DWARF 5 line table
+   * @param {Object} elf - Parsed ELF file
+   * @param {Object} reader - Reader positioned at the directory table
+   * @param {number} offsetSize - 4 for 32-bit DWARF, 8 for 64-bit DWARF
+   * @returns {Object} - `{ directories, files }`
+   */
+  readEntryTables(elf, reader, offsetSize) {
+    const readEntries = () => {
+      const formats = [];
+      const formatCount = reader.u8();
+      for (let i = 0; i < formatCount; i++) {
+        formats.push([reader.uleb(), reader.uleb()]);
+      }
+
+      const entries = [];
+      const count = reader.uleb();
+      for (let i = 0; i < count; i++) {
+        const entry = {};
+        formats.forEach(([content, form]) => {
+          const value = symbolFile.readForm(elf, reader, form, offsetSize);
+          if (content === DWARF_LNCT_PATH) entry.name = value;
+          if (content === DWARF_LNCT_DIRECTORY_INDEX) entry.directory = value;
+        });
+        entries.push(entry);
+      }
+      return entries;
+    };
+
+    const directories = readEntries().map((entry) => entry.name);
+    return { directories, files: readEntries() };
+  },
+
+  /**
+   * Reads one attribute value of a DWARF 5 directory or file entry
+   * @param {Object} elf - Parsed ELF file
+   * @param {Object} reader - Reader positioned at the value
+   * @param {number} form - DW_FORM code
+   * @param {number} offsetSize - 4 for 32-bit DWARF, 8 for 64-bit DWARF
+   * @returns {string|number|null} - Value, or null for skipped data
+   */
+  readForm(elf, reader, form, offsetSize) {
+    if (form === DWARF_FORMS.STRING) return reader.string();
+    if (form === DWARF_FORMS.LINE_STRP || form === DWARF_FORMS.STRP) {
+      const section =
+        elf.sections[
+          form === DWARF_FORMS.STRP ? ".debug_str" : ".debug_line_str"
+        ];
+      const offset = reader.offset(offsetSize);
+      if (!section) throw new Error("String section missing");
+      return symbolFile
+        .createReader(elf.view, section.offset + offset)
+        .string();
+    }
+    if (form === DWARF_FORMS.UDATA) return reader.uleb();
+    if (form === DWARF_FORMS.DATA1) return reader.u8();
+    if (form === DWARF_FORMS.DATA2) return reader.u16();
+    if (form === DWARF_FORMS.DATA4) return reader.u32();
+
+    if (form === DWARF_FORMS.DATA8) {
+      reader.position += 8;
+    } else if (form === DWARF_FORMS.DATA16) {
+      reader.position += 16;
+    } else if (form === DWARF_FORMS.BLOCK) {
+      reader.position += reader.uleb();
+    } else {
+      throw new Error(`Unsupported DWARF form 0x${form.toString(16)}`);
+    }
+    return null;
+  },
+
+  /**
+   * Creates a little-endian cursor over a DataView
+   * @param {DataView} view - Data to read
+   * @param {number} position - Starting byte offset
+   * @returns {Object} - Reader with a `position` and typed read methods
+   */
+  createReader(view, position) {
+    const reader = {
+      position,
+      u8: () => view.getUint8(reader.position++),
+      u16() {
+        const value = view.getUint16(reader.position, true);
+        reader.position += 2;
+        return value;
+      },
+      u32() {
+        const value = view.getUint32(reader.position, true);
+        reader.position += 4;
+        return value;
+      },
+      offset(size) {
+        if (size === 4) return reader.u32();
+        const value = Number(view.getBigUint64(reader.position, true));
+        reader.position += 8;
+        return value;
+      },
+      uleb() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+          byte = view.getUint8(reader.position++);
+          result += (byte & 0x7f) * 2 ** shift;
+          shift += 7;
+        } while (byte & 0x80);
+        return result;
+      },
+      sleb() {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+          byte = view.getUint8(reader.position++);
+          result += (byte & 0x7f) * 2 ** shift;
+          shift += 7;
+        } while (byte & 0x80);
+        return byte & 0x40 ? result - 2 ** shift : result;
+      },
+      string() {
+        let end = reader.position;
+        while (view.getUint8(end) !== 0) end++;
+        const value = new TextDecoder().decode(
+          new Uint8Array(
+            view.buffer,
+            view.byteOffset + reader.position,
+            end - reader.position
+          )
+        );
+        reader.position = end + 1;
+        return value;
+      },
+    };
+    return reader;
+  },
+};
+
+//==============================================================================
+// PANIC DECODER MODULE
+//==============================================================================
+
+/**
+ * ESP-IDF panic output. A dump starts at one of the start lines and ends at
+ * the ELF hash, the reboot notice, PANIC_MAX_LINES or a quiet period.
+ */
+const PANIC_START_PATTERN =
+  /Guru Meditation Error|abort\(\) was called|A stack overflow in task|Stack smashing protect failure|assert failed:/;
+const PANIC_END_PATTERN = /^(ELF file SHA256:|Rebooting\.\.\.|CPU halted)/;
+const PANIC_IDLE_TIMEOUT = 1000; // Ends a dump cut short by the reset (ms)
+const PANIC_MAX_LINES = 200;
+const APP_VERSION_PATTERN = /App version:\s*(\S+)/;
+
+/**
+ * Watches incoming serial lines for panic dumps and decodes their backtrace
+ * with symbols loaded by the user or listed with the release in the manifest
+ */
+const panicDecoder = {
+  capture: null, // Dump being collected
+  idleTimer: null, // Ends the dump being collected
+  panic: null, // Last complete dump
+  appVersion: null, // Firmware version from the last boot log
+  symbols: null, // Symbols loaded from a local file
+  releaseSymbols: null, // `{ version, symbols }` downloaded for a release
+
+  /**
+   * Feeds one received line to the dump detector
+   * @param {string} line - Raw line from the device
+   */
+  handleLine(line) {
+    const text = line.replace(ANSI_ESCAPE_PATTERN, "").trim();
+    const version = APP_VERSION_PATTERN.exec(text);
+    if (version) {
+      panicDecoder.appVersion = version[1];
+    }
+
+    if (!panicDecoder.capture) {
+      if (!PANIC_START_PATTERN.test(text)) return;
+      panicDecoder.capture = {
+        reason: text,
+        lines: [],
+        frames: [],
+        elfSha256: null,
+      };
+    }
+
+    const capture = panicDecoder.capture;
+    capture.lines.push(text);
+    panicDecoder.parseLine(capture, text);
+
+    clearTimeout(panicDecoder.idleTimer);
+    if (
+      PANIC_END_PATTERN.test(text) ||
+      capture.lines.length >= PANIC_MAX_LINES
+    ) {
+      panicDecoder.finish();
+    } else {
+      panicDecoder.idleTimer = setTimeout(
+        panicDecoder.finish,
+        PANIC_IDLE_TIMEOUT
+      );
+    }
+  },
+
+  /**
+   * Collects code addresses from a dump line: the Xtensa PC, the RISC-V
+   * MEPC and RA registers, the abort() caller and each backtrace frame
+   * @param {Object} capture - Dump being collected
+   * @param {string} text - Line without colour codes
+   */
+  parseLine(capture, text) {
+    const addFrame = (label, hex) => {
+      const address = parseInt(hex, 16);
+      if (address !== 0) {
+        capture.frames.push({ label, address, function: null, source: null });
+      }
+    };
+
+    for (const match of text.matchAll(
+      /\b(PC|MEPC|RA)\s*:\s*0x([0-9a-f]{8})/gi
+    )) {
+      addFrame(match[1].toUpperCase(), match[2]);
+    }
+
+    const abort = /abort\(\) was called at PC 0x([0-9a-f]{8})/i.exec(text);
+    if (abort) {
+      addFrame("abort", abort[1]);
+    }
+
+    if (text.startsWith("Backtrace:")) {
+      const pairs = text.matchAll(/0x([0-9a-f]{8}):0x[0-9a-f]{8}/gi);
+      Array.from(pairs).forEach((match, index) =>
+        addFrame(`#${index}`, match[1])
+      );
+    }
+
+    const hash = /^ELF file SHA256:\s*([0-9a-f]+)/i.exec(text);
+    if (hash) {
+      capture.elfSha256 = hash[1].toLowerCase();
+    }
+  },
+
+  /**
+   * Closes the dump being collected and decodes it
+   */
+  finish() {
+    clearTimeout(panicDecoder.idleTimer);
+    panicDecoder.idleTimer = null;
+
+    const capture = panicDecoder.capture;
+    if (!capture) return;
+
+    panicDecoder.capture = null;
+    panicDecoder.panic = {
+      ...capture,
+      version: panicDecoder.appVersion || deviceInfo?.firmware_version || null,
+    };
+    panicDecoder.decode();
+  },
+
+  /**
+   * Loads a local ELF file or symbol map and decodes the last crash with it
+   * @param {File} file - Symbol file chosen by the user
+   * @returns {Promise<void>} - Resolves once the file has been read
+   */
+  async loadFile(file) {
+    if (!file) return;
+
+    try {
+      panicDecoder.symbols = await symbolFile.load(
+        await file.arrayBuffer(),
+        file.name
+      );
+    } catch (error) {
+      console.error("Symbol file rejected:", error);
+      panicDecoder.symbols = null;
+      utils.showStatus(
+        elements.panicStatus,
+        `Could not read ${file.name}: ${error.message}`,
+        "error"
+      );
+      return;
+    }
+
+    if (panicDecoder.panic) {
+      await panicDecoder.decode();
+    } else {
+      utils.showStatus(
+        elements.panicStatus,
+        `Loaded ${panicDecoder.symbols.functions.length} functions from ${file.name}. Crashes will be decoded as they arrive.`,
+        "success"
+      );
+    }
+  },
+
+  /**
+   * Picks the symbols for a crash: a local file wins over the symbols listed
+   * with the crashed firmware's release, which are downloaded once
+   * @param {string|null} version - Firmware version that crashed
+   * @returns {Promise<Object|null>} - Loaded symbols, or null if none exist
+   */
+  async getSymbols(version) {
+    if (panicDecoder.symbols) return panicDecoder.symbols;
+
+    const release = version ? catalog.findRelease(version) : null;
+    if (!release?.symbols) return null;
+
+    if (panicDecoder.releaseSymbols?.version !== version) {
+      utils.showStatus(
+        elements.panicStatus,
+        `Downloading symbols for firmware ${version}...`,
+        "info"
+      );
+      try {
+        const file = await catalog.downloadAsset(
+          release.symbols,
+          `byte90-${version}.elf`
+        );
+        panicDecoder.releaseSymbols = {
+          version,
+          symbols: await symbolFile.load(await file.arrayBuffer(), file.name),
+        };
+      } catch (error) {
+        console.warn(`Symbols for ${version} unavailable:`, error);
+        return null;
+      }
+    }
+
+    return panicDecoder.releaseSymbols.symbols;
+  },
+
+  /**
+   * Shows the last crash and resolves its addresses when symbols are available
+   * @returns {Promise<void>} - Resolves once the report is up to date
+   */
+  async decode() {
+    const panic = panicDecoder.panic;
+    if (!panic) return;
+
+    ui.updatePanicReport(panic);
+    if (panic.frames.length === 0) {
+      utils.showStatus(
+        elements.panicStatus,
+        "Crash detected, but its output has no code addresses to decode",
+        "warning"
+      );
+      return;
+    }
+
+    const symbols = await panicDecoder.getSymbols(panic.version);
+    if (panicDecoder.panic !== panic) return;
+    if (!symbols) {
+      utils.showStatus(
+        elements.panicStatus,
+        "Crash detected. Load the firmware's .elf file or symbol map to decode the backtrace.",
+        "warning"
+      );
+      return;
+    }
+
+    const addresses = [...new Set(panic.frames.map((frame) => frame.address))];
+    const resolved = new Map(
+      symbolFile
+        .resolve(symbols, addresses)
+        .map((entry) => [entry.address, entry])
+    );
+    panic.frames.forEach((frame) => {
+      const entry = resolved.get(frame.address);
+      frame.function = entry.function;
+      frame.source = entry.source;
+    });
+    ui.updatePanicReport(panic);
+
+    if (
+      symbols.sha256 &&
+      panic.elfSha256 &&
+      !symbols.sha256.startsWith(panic.elfSha256)
+    ) {
+      utils.showStatus(
+        elements.panicStatus,
+        `${symbols.name} is not the build that crashed (device reports ELF SHA256 ${panic.elfSha256}). Names and lines may be wrong.`,
+        "warning"
+      );
+    } else {
+      utils.showStatus(
+        elements.panicStatus,
+        `Backtrace decoded with ${symbols.name}`,
+        "success"
+      );
+    }
+  },
+};
+
+//==============================================================================
+// DEVICE INSPECTOR MODULE
+//==============================================================================
+
+/**
+ * Filesystem partition subtypes that can hold the animations image
+ */
+const FILESYSTEM_SUBTYPES = ["spiffs", "littlefs", "fat"];
+
+/**
+ * ESP-IDF partition type and data subtype codes, used when the device reports
+ * numeric values instead of names
+ */
+const PARTITION_TYPE_NAMES = { 0: "app", 1: "data" };
+const DATA_SUBTYPE_NAMES = {
+  0x00: "ota",
+  0x01: "phy",
+  0x02: "nvs",
+  0x81: "fat",
+  0x82: "spiffs",
+  0x83: "littlefs",
+};
+
+/**
+ * Reads the partition table and filesystem usage from the device
+ */
+const inspector = {
+  /**
+   * Fetches partition and storage information and refreshes the inspector panel.
+   * Failures are logged but never interrupt the connection flow.
+   * @returns {Promise<void>} - Resolves once both queries have settled
+   */
+  async refresh() {
+    try {
+      const partitions = await inspector.readPartitions(serial.connection);
+      if (partitions) partitionInfo = partitions;
+    } catch (error) {
+      console.warn("Failed to get partition info:", error);
+    }
+
+    ui.updatePartitionInfo(partitionInfo);
+    await inspector.refreshStorage();
+    ui.updateAssetList();
+  },
+
+  /**
+   * Reads a device's partition table
+   * @param {Object} connection - Connection to the device
+   * @returns {Promise<Array<Object>|null>} - Normalized partitions, or null if
+   *   the device did not report them
+   */
+  async readPartitions(connection) {
+    const response = await connection.sendCommand(
+      SERIAL_COMMANDS.GET_PARTITION_INFO
+    );
+    if (!response || !response.success || !Array.isArray(response.partitions)) {
+      return null;
+    }
+    return response.partitions.map(inspector.normalizePartition);
+  },
+
+  /**
+   * Fetches filesystem usage and refreshes every free space display
+   * @returns {Promise<void>} - Resolves once the query has settled
+   */
+  async refreshStorage() {
+    try {
+      const response = await serial.sendCommand(
+        SERIAL_COMMANDS.GET_STORAGE_INFO
+      );
+      if (response && response.success) {
+        storageInfo = inspector.normalizeStorage(response);
+      }
+    } catch (error) {
+      console.warn("Failed to get storage info:", error);
+    }
+
+    ui.updateStorageInfo(storageInfo);
+  },
+
+  /**
+   * Converts a raw partition entry into a consistent shape. Offsets and sizes
+   * may be numbers or strings; strings are hex only with a `0x` prefix.
+   * @param {Object} entry - Partition object from GET_PARTITION_INFO
+   * @returns {Object} - Partition with numeric offset/size and boolean flags
+   */
+  normalizePartition(entry) {
+    // Number() reads "0x"-prefixed strings as hex and others as decimal
+    const toNumber = (value) => Number(value) || 0;
+
+    return {
+      label: entry.label || "-",
+      ...inspector.describePartitionType(entry.type, entry.subtype),
+      offset: toNumber(entry.offset ?? entry.address),
+      size: toNumber(entry.size),
+      running: Boolean(entry.running),
+      boot: Boolean(entry.boot),
+    };
+  },
+
+  /**
+   * Resolves partition type and subtype names from names or numeric codes
+   * @param {string|number} type - Partition type
+   * @param {string|number} subtype - Partition subtype
+   * @returns {{type: string, subtype: string}} - Named type and subtype
+   */
+  describePartitionType(type, subtype) {
+    if (typeof type !== "number") {
+      return { type: String(type ?? "-"), subtype: String(subtype ?? "-") };
+    }
+
+    const typeName = PARTITION_TYPE_NAMES[type] || `0x${type.toString(16)}`;
+    let subtypeName = `0x${(subtype || 0).toString(16)}`;
+
+    if (typeName === "app") {
+      if (subtype === 0x00) subtypeName = "factory";
+      else if (subtype >= 0x10 && subtype < 0x20)
+        subtypeName = `ota_${subtype - 0x10}`;
+      else if (subtype === 0x20) subtypeName = "test";
+    } else if (typeName === "data" && DATA_SUBTYPE_NAMES[subtype]) {
+      subtypeName = DATA_SUBTYPE_NAMES[subtype];
+    }
+
+    return { type: typeName, subtype: subtypeName };
+  },
+
+  /**
+   * Parses a binary partition table (partitions.bin) into normalized
+   * partitions. Parsing stops at the first erased entry or the MD5 entry.
+   * @param {Uint8Array} bytes - Partition table image
+   * @returns {Array<Object>} - Normalized partitions
+   */
+  parsePartitionTable(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const partitions = [];
+
+    for (
+      let offset = 0;
+      offset + PARTITION_ENTRY_SIZE <= bytes.length;
+      offset += PARTITION_ENTRY_SIZE
+    ) {
+      if (view.getUint16(offset, true) !== PARTITION_ENTRY_MAGIC) break;
+
+      const label = bytes.subarray(offset + 12, offset + 28);
+      const end = label.indexOf(0);
+      partitions.push(
+        inspector.normalizePartition({
+          label: new TextDecoder().decode(
+            end === -1 ? label : label.subarray(0, end)
+          ),
+          type: view.getUint8(offset + 2),
+          subtype: view.getUint8(offset + 3),
+          offset: view.getUint32(offset + 4, true),
+          size: view.getUint32(offset + 8, true),
+        })
+      );
+    }
+
+    if (partitions.length === 0) {
+      throw new Error("No partitions found in the partition table");
+    }
+    return partitions;
+  },
+
+  /**
+   * Converts a raw GET_STORAGE_INFO response into a consistent shape
+   * @param {Object} response - Storage response from the device
+   * @returns {Object} - Filesystem name with total, used and free bytes
+   */
+  normalizeStorage(response) {
+    const total = response.total_bytes || 0;
+    const used = response.used_bytes || 0;
+
+    return {
+      filesystem: response.filesystem || "filesystem",
+      total,
+      used,
+      free: response.free_bytes ?? Math.max(total - used, 0),
+    };
+  },
+
+  /**
+   * Finds the partition an image of the given update type will be written to
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @param {Array<Object>|null} partitions - Partition table, the connected
+   *   device's by default
+   * @returns {Object|null} - Target partition or null if it cannot be determined
+   */
+  findTargetPartition(updateType, partitions = partitionInfo) {
+    if (!partitions) return null;
+
+    if (updateType === "filesystem") {
+      return (
+        partitions.find((p) => FILESYSTEM_SUBTYPES.includes(p.subtype)) || null
+      );
+    }
+
+    const apps = partitions.filter((p) => p.type === "app");
+    return (
+      apps.find((p) => p.subtype.startsWith("ota") && !p.running) ||
+      apps.find((p) => !p.running) ||
+      null
+    );
+  },
+
+  /**
+   * Verifies that an image fits its target partition before uploading
+   * @param {number} imageSize - Image size in bytes
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @param {Array<Object>|null} partitions - Partition table, the connected
+   *   device's by default
+   * @returns {string|null} - Error message, or null if the image fits or the
+   *   partition table is unavailable
+   */
+  checkImageFits(imageSize, updateType, partitions = partitionInfo) {
+    const target = inspector.findTargetPartition(updateType, partitions);
+    if (!target) {
+      console.warn(`No target partition found for ${updateType} update`);
+      return null;
+    }
+
+    if (imageSize > target.size) {
+      return `Image is ${utils.formatBytes(imageSize)} but the ${
+        target.label
+      } partition only holds ${utils.formatBytes(target.size)}`;
+    }
+
+    return null;
+  },
+};
+
+//==============================================================================
+// DEVICE FILE MANAGER MODULE
+//==============================================================================
+
+/**
+ * Lists, downloads, uploads and deletes individual files on the device
+ * filesystem. Files are transferred in CHUNK_SIZE pieces:
+ *   READ_FILE:<path>,<offset>,<length> -> { data: base64, crc32? }
+ *   WRITE_FILE:<path>,<offset>,<crc32hex>,<base64> -> { offset }
+ * A write at offset 0 creates or truncates the file; later writes append.
+ */
+const fileManager = {
+  files: [], // Files in the root directory from the last listing
+  busy: false, // True while a file operation is running
+
+  /**
+   * Lists the root directory and refreshes free space
+   * @returns {Promise<void>} - Resolves once the panel is up to date
+   */
+  async refresh() {
+    if (!isConnected) return;
+
+    try {
+      const response = await serial.sendCommand(
+        SERIAL_COMMANDS.LIST_FILES,
+        "/"
+      );
+      if (!response || !response.success || !Array.isArray(response.files)) {
+        throw new Error(response?.message || "Invalid file listing");
+      }
+
+      fileManager.files = response.files
+        .map(fileManager.normalizeFile)
+        .filter((file) => !file.isDirectory)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.warn("Failed to list files:", error);
+      fileManager.files = [];
+      utils.showStatus(
+        elements.fileStatus,
+        `Could not list device files: ${error.message}`,
+        "warning"
+      );
+    }
+
+    ui.updateFileList(fileManager.files);
+    await inspector.refreshStorage();
+  },
+
+  /**
+   * Converts a raw LIST_FILES entry into a consistent shape
+   * @param {Object} entry - File object from LIST_FILES
+   * @returns {Object} - File with name, absolute path and size
+   */
+  normalizeFile(entry) {
+    const name = String(entry.name || "").replace(/^\/+/, "");
+    return {
+      name,
+      path: entry.path || `/${name}`,
+      size: entry.size || 0,
+      isDirectory: entry.type === "dir" || Boolean(entry.directory),
+    };
+  },
+
+  /**
+   * Runs a file operation, refusing to overlap with updates or other
+   * file operations and reporting failures in the panel
+   * @param {string} label - Operation name for error messages
+   * @param {Function} operation - Async operation to run
+   * @returns {Promise<void>} - Resolves when the operation settles
+   */
+  async run(label, operation) {
+    if (fileManager.busy || backup.busy || updateInProgress) return;
+
+    fileManager.busy = true;
+    ui.updateFileManagerState();
+
+    try {
+      await operation();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      utils.showStatus(
+        elements.fileStatus,
+        `${label} failed: ${error.message}`,
+        "error"
+      );
+    } finally {
+      fileManager.busy = false;
+      ui.updateFileManagerState();
+    }
+  },
+
+  /**
+   * Reads a file from the device and saves it on the computer
+   * @param {string} path - File path on the device
+   * @returns {Promise<void>} - Resolves when the download settles
+   */
+  async downloadFile(path) {
+    const file = fileManager.files.find((entry) => entry.path === path);
+    if (!file) return;
+
+    await fileManager.run("Download", async () => {
+      const data = await fileManager.readFile(file);
+      utils.downloadBlob(
+        new Blob([data], { type: "application/octet-stream" }),
+        file.name
+      );
+      utils.showStatus(
+        elements.fileStatus,
+        `Downloaded ${file.name} (${utils.formatBytes(file.size)})`,
+        "success"
+      );
+    });
+  },
+
+  /**
+   * Reads a whole file in chunks, checking each chunk's CRC when provided
+   * @param {Object} file - Normalized file entry
+   * @returns {Promise<Uint8Array>} - File contents
+   */
+  async readFile(file) {
+    const data = new Uint8Array(file.size);
+    let offset = 0;
+
+    while (offset < file.size) {
+      const length = Math.min(CHUNK_SIZE, file.size - offset);
+      const response = await serial.sendCommandWithRetry(
+        SERIAL_COMMANDS.READ_FILE,
+        `${file.path},${offset},${length}`
+      );
+      if (!response || !response.success) {
+        throw new Error(response?.message || `Read failed at ${offset}`);
+      }
+
+      const chunk = utils.base64ToUint8Array(response.data);
+      if (chunk.length === 0 || chunk.length > length) {
+        throw new Error(`Unexpected read length at offset ${offset}`);
+      }
+      if (
+        response.crc32 !== undefined &&
+        parseInt(response.crc32, 16) !== utils.crc32(chunk)
+      ) {
+        throw new Error(`Checksum mismatch at offset ${offset}`);
+      }
+
+      data.set(chunk, offset);
+      offset += chunk.length;
+      utils.showStatus(
+        elements.fileStatus,
+        `Downloading ${file.name}: ${Math.round((offset / file.size) * 100)}%`,
+        "info"
+      );
+    }
+
+    return data;
+  },
+
+  /**
+   * Writes a single file to the device without touching the other files
+   * @returns {Promise<void>} - Resolves when the upload settles
+   */
+  async uploadFile() {
+    const file = elements.deviceUploadFile?.files[0];
+    if (!file) return;
+
+    await fileManager.run("Upload", async () => {
+      const nameError = fileManager.checkFileName(file.name);
+      if (nameError) throw new Error(nameError);
+
+      // An existing file with the same name is replaced
+      const path = `/${file.name}`;
+      const existing = fileManager.files.find((entry) => entry.path === path);
+      const available = storageInfo
+        ? storageInfo.free + (existing?.size || 0)
+        : Infinity;
+      if (file.size > available) {
+        throw new Error(
+          `${file.name} is ${utils.formatBytes(
+            file.size
+          )} but only ${utils.formatBytes(available)} is free`
+        );
+      }
+
+      const data = new Uint8Array(await file.arrayBuffer());
+      let offset = 0;
+
+      // Empty files still need one write to be created
+      do {
+        const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+        const crc = utils.crc32(chunk).toString(16).padStart(8, "0");
+        const response = await serial.sendCommandWithRetry(
+          SERIAL_COMMANDS.WRITE_FILE,
+          `${path},${offset},${crc},${utils.arrayBufferToBase64(chunk)}`
+        );
+        if (!response || !response.success) {
+          throw new Error(response?.message || `Write failed at ${offset}`);
+        }
+        if (
+          response.offset !== undefined &&
+          response.offset !== offset + chunk.length
+        ) {
+          throw new Error(`Device stored ${response.offset} bytes`);
+        }
+
+        offset += chunk.length;
+        utils.showStatus(
+          elements.fileStatus,
+          `Uploading ${file.name}: ${
+            data.length ? Math.round((offset / data.length) * 100) : 100
+          }%`,
+          "info"
+        );
+      } while (offset < data.length);
+
+      elements.deviceUploadFile.value = "";
+      await fileManager.refresh();
+      utils.showStatus(
+        elements.fileStatus,
+        `Uploaded ${file.name} (${utils.formatBytes(file.size)})`,
+        "success"
+      );
+    });
+  },
+
+  /**
+   * Checks that a file name can be stored and sent in a command
+   * @param {string} name - File name
+   * @returns {string|null} - Error message, or null if the name is usable
+   */
+  checkFileName(name) {
+    if (/[,/\\]/.test(name)) {
+      return "File names cannot contain commas or slashes";
+    }
+    if (new TextEncoder().encode(name).length > LFS_NAME_MAX) {
+      return `File names are limited to ${LFS_NAME_MAX} bytes`;
+    }
+    return null;
+  },
+
+  /**
+   * Deletes a file after confirmation
+   * @param {string} path - File path on the device
+   * @returns {Promise<void>} - Resolves when the deletion settles
+   */
+  async deleteFile(path) {
+    const file = fileManager.files.find((entry) => entry.path === path);
+    if (!file || !window.confirm(`Delete ${file.name} from the device?`)) {
+      return;
+    }
+
+    await fileManager.run("Delete", async () => {
+      const response = await serial.sendCommand(
+        SERIAL_COMMANDS.DELETE_FILE,
+        path
+      );
+      if (!response || !response.success) {
+        throw new Error(response?.message || "Device refused to delete");
+      }
+
+      await fileManager.refresh();
+      utils.showStatus(elements.fileStatus, `Deleted ${file.name}`, "success");
+    });
+  },
+};
+
+//==============================================================================
+// BACKUP MODULE
+//==============================================================================
+
+/**
+ * Reads the running app and the animations partition back from the device
+ * and restores them through the normal update pipeline. Each backup is a
+ * set of .bin files plus a JSON sidecar, offered as links for the user to
+ * save one by one (browsers block a burst of scripted downloads):
+ *   { format, version, created, device, partitions,
+ *     images: [{ updateType, partition, file, size, sha256 }] }
+ */
+const backup = {
+  busy: false, // True while a backup is being read
+  downloads: [], // Files of the last backup: { file, size, url }
+  restoreImages: [], // Verified images from the selected backup
+
+  /**
+   * Reads both partitions and offers the images and sidecar for download
+   * @returns {Promise<void>} - Resolves when the backup settles
+   */
+  async createBackup() {
+    if (backup.busy || updateInProgress || fileManager.busy) return;
+
+    backup.busy = true;
+    ui.updateFileManagerState();
+
+    try {
+      const app = partitionInfo?.find(
+        (partition) => partition.type === "app" && partition.running
+      );
+      const filesystem = inspector.findTargetPartition("filesystem");
+      if (!app || !filesystem) {
+        throw new Error("The device did not report its partition table");
+      }
+
+      const baseName = backup.getBaseName();
+      const appLength = await firmwareImage.measureImage((offset, length) =>
+        backup.readFlash(app, offset, length)
+      );
+      if (appLength > app.size) {
+        throw new Error("Could not find the end of the firmware image");
+      }
+
+      const targets = [
+        { updateType: "firmware", partition: app, length: appLength },
+        {
+          updateType: "filesystem",
+          partition: filesystem,
+          length: filesystem.size,
+        },
+      ];
+
+      const images = [];
+      const files = [];
+      for (const target of targets) {
+        const data = await backup.readFlash(
+          target.partition,
+          0,
+          target.length,
+          true
+        );
+        const file = `${baseName}-${target.updateType}.bin`;
+
+        images.push({
+          updateType: target.updateType,
+          partition: target.partition.label,
+          file,
+          size: data.byteLength,
+          sha256: await utils.computeHash(data, HASH_ALGORITHMS.SHA256),
+        });
+        files.push({
+          file,
+          blob: new Blob([data], { type: "application/octet-stream" }),
+        });
+      }
+
+      const sidecar = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        created: new Date().toISOString(),
+        device: {
+          firmware_version: deviceInfo?.firmware_version || null,
+          mcu: deviceInfo?.mcu || null,
+        },
+        partitions: partitionInfo,
+        images,
+      };
+      files.push({
+        file: `${baseName}.json`,
+        blob: new Blob([JSON.stringify(sidecar, null, 2)], {
+          type: "application/json",
+        }),
+      });
+      backup.offerDownloads(files);
+
+      utils.showStatus(
+        elements.backupStatus,
+        `Backup ready: save all ${files.length} files below to restore it later`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Backup failed:", error);
+      utils.showStatus(
+        elements.backupStatus,
+        `Backup failed: ${error.message}`,
+        "error"
+      );
+    } finally {
+      backup.busy = false;
+      ui.updateFileManagerState();
+    }
+  },
+
+  /**
+   * Replaces the download links of the previous backup
+   * @param {Array<Object>} files - `{ file, blob }` entries to offer
+   */
+  offerDownloads(files) {
+    backup.downloads.forEach(({ url }) => URL.revokeObjectURL(url));
+    backup.downloads = files.map(({ file, blob }) => ({
+      file,
+      size: blob.size,
+      url: URL.createObjectURL(blob),
+    }));
+    ui.updateBackupDownloads(backup.downloads);
+  },
+
+  /**
+   * Builds the file name prefix for a new backup
+   * @returns {string} - e.g. byte90-backup-1.4.0-20250601-1200
+   */
+  getBaseName() {
+    const stamp = new Date()
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace("T", "-")
+      .slice(0, 13);
+    const version = String(deviceInfo?.firmware_version || "unknown").replace(
+      /[^0-9A-Za-z.-]/g,
+      "_"
+    );
+    return `byte90-backup-${version}-${stamp}`;
+  },
+
+  /**
+   * Reads a range of a partition in FLASH_READ_SIZE requests
+   * @param {Object} partition - Normalized partition
+   * @param {number} offset - Offset within the partition
+   * @param {number} length - Bytes to read
+   * @param {boolean} reportProgress - Show progress in the backup panel
+   * @returns {Promise<ArrayBuffer>} - Partition contents
+   */
+  async readFlash(partition, offset, length, reportProgress = false) {
+    const data = new Uint8Array(length);
+    let position = 0;
+
+    while (position < length) {
+      const size = Math.min(FLASH_READ_SIZE, length - position);
+      const response = await serial.sendCommandWithRetry(
+        SERIAL_COMMANDS.READ_FLASH,
+        `${partition.label},${offset + position},${size}`
+      );
+      if (!response || !response.success) {
+        throw new Error(
+          response?.message || `Read failed at ${offset + position}`
+        );
+      }
+
+      const chunk = utils.base64ToUint8Array(response.data);
+      if (chunk.length !== size) {
+        throw new Error(`Unexpected read length at ${offset + position}`);
+      }
+      if (
+        response.crc32 !== undefined &&
+        parseInt(response.crc32, 16) !== utils.crc32(chunk)
+      ) {
+        throw new Error(`Checksum mismatch at ${offset + position}`);
+      }
+
+      data.set(chunk, position);
+      position += size;
+
+      if (reportProgress) {
+        utils.showStatus(
+          elements.backupStatus,
+          `Reading ${partition.label}: ${Math.round(
+            (position / length) * 100
+          )}%`,
+          "info"
+        );
+      }
+    }
+
+    return data.buffer;
+  },
+
+  /**
+   * Loads a backup sidecar and its images, verifying each image's size and
+   * SHA-256 before it can be restored
+   * @param {FileList} fileList - Selected sidecar and .bin files
+   * @returns {Promise<void>} - Resolves once the restore list is updated
+   */
+  async loadBackup(fileList) {
+    const files = Array.from(fileList);
+    backup.restoreImages = [];
+
+    try {
+      const sidecarFile = files.find((file) => file.name.endsWith(".json"));
+      if (!sidecarFile) {
+        throw new Error("Select the backup .json file with its .bin files");
+      }
+
+      const sidecar = JSON.parse(await sidecarFile.text());
+      if (
+        sidecar.format !== BACKUP_FORMAT ||
+        sidecar.version !== BACKUP_FORMAT_VERSION ||
+        !Array.isArray(sidecar.images)
+      ) {
+        throw new Error(`${sidecarFile.name} is not a BYTE-90 backup`);
+      }
+
+      const mcu = sidecar.device?.mcu;
+      if (
+        mcu &&
+        deviceInfo?.mcu &&
+        utils.normalizeChipName(mcu) !== utils.normalizeChipName(deviceInfo.mcu)
+      ) {
+        throw new Error(
+          `Backup was taken from ${mcu}, but the device is ${deviceInfo.mcu}`
+        );
+      }
+
+      const images = [];
+      for (const image of sidecar.images) {
+        const file = files.find((entry) => entry.name === image.file);
+        if (!file) {
+          throw new Error(`Missing ${image.file}`);
+        }
+        if (file.size !== image.size) {
+          throw new Error(`${image.file} does not match the backup size`);
+        }
+
+        const hash = await utils.computeHash(
+          await file.arrayBuffer(),
+          HASH_ALGORITHMS.SHA256
+        );
+        if (hash !== image.sha256) {
+          throw new Error(`${image.file} does not match the backup hash`);
+        }
+
+        images.push({ ...image, fileObject: file, sidecar });
+      }
+      backup.restoreImages = images;
+
+      utils.showStatus(
+        elements.backupStatus,
+        `Backup from ${new Date(
+          sidecar.created
+        ).toLocaleString()} verified (firmware ${
+          sidecar.device?.firmware_version || "unknown"
+        })`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Failed to load backup:", error);
+      utils.showStatus(
+        elements.backupStatus,
+        `Cannot restore: ${error.message}`,
+        "error"
+      );
+    }
+
+    ui.updateRestoreList(backup.restoreImages);
+  },
+
+  /**
+   * Restores one image from the loaded backup through the update pipeline
+   * @param {number} index - Index into restoreImages
+   * @returns {Promise<void>} - Resolves when the update finishes or fails
+   */
+  async restoreImage(index) {
+    const image = backup.restoreImages[index];
+    if (!image || backup.busy || updateInProgress || fileManager.busy) return;
+
+    if (image.updateType === "firmware") {
+      let chipError;
+      try {
+        const header = await firmwareImage.readHeader(image.fileObject);
+        chipError = firmwareImage.checkChip(header, deviceInfo?.mcu);
+      } catch (error) {
+        chipError = `Invalid firmware image: ${error.message}`;
+      }
+      if (chipError) {
+        utils.showStatus(elements.backupStatus, chipError, "error");
+        return;
+      }
+    }
+
+    const sizeError = inspector.checkImageFits(
+      image.fileObject.size,
+      image.updateType
+    );
+    if (sizeError) {
+      utils.showStatus(elements.backupStatus, sizeError, "error");
+      return;
+    }
+
+    const label = image.updateType === "filesystem" ? "animations" : "firmware";
+    if (
+      !window.confirm(
+        `Restore the ${label} (${
+          image.partition
+        }) from the backup of firmware ${
+          image.sidecar.device?.firmware_version || "unknown"
+        }?`
+      )
+    ) {
+      return;
+    }
+
+    await updater.runUpdate(image.fileObject, image.updateType);
+  },
+};
+
+//==============================================================================
+// ROM BOOTLOADER MODULE
+//==============================================================================
+
+/**
+ * Speaks the ESP32 ROM bootloader protocol over a byte transport, so a
+ * device without working firmware can still be flashed. The caller opens
+ * the port and passes it in as a byte transport (see createSerialTransport),
+ * so the tests can run it against a scripted fake bootloader instead
+ * (test/fake-bootloader.js):
+ *   { write(bytes), read() -> {value, done}, setSignals(signals),
+ *     setBaudRate(baudRate) }
+ */
+const romLoader = {
+  transport: null, // Active byte transport
+  packets: [], // Decoded SLIP frames waiting to be read
+  frame: null, // Frame being decoded, null outside a frame
+  escaped: false, // Previous byte was SLIP_ESC
+  pendingRead: null, // Transport read that outlived a timeout
+  chip: null, // Chip name detected after connecting
+
+  /**
+   * Starts a session on a transport
+   * @param {Object} transport - Byte transport
+   */
+  open(transport) {
+    romLoader.transport = transport;
+    romLoader.chip = null;
+    romLoader.packets = [];
+    romLoader.frame = null;
+    romLoader.escaped = false;
+    romLoader.pendingRead = null;
+  },
+
+  /**
+   * Ends the session. Closing the transport is left to its owner.
+   */
+  close() {
+    romLoader.transport = null;
+    romLoader.pendingRead = null;
+    romLoader.chip = null;
+  },
+
+  /**
+   * SLIP-encodes a packet
+   * @param {Uint8Array} packet - Raw packet
+   * @returns {Uint8Array} - Framed packet
+   */
+  slipEncode(packet) {
+    const bytes = [SLIP_END];
+    packet.forEach((byte) => {
+      if (byte === SLIP_END) bytes.push(SLIP_ESC, SLIP_ESC_END);
+      else if (byte === SLIP_ESC) bytes.push(SLIP_ESC, SLIP_ESC_ESC);
+      else bytes.push(byte);
+    });
+    bytes.push(SLIP_END);
+    return new Uint8Array(bytes);
+  },
+
+  /**
+   * Feeds received bytes to the SLIP decoder. Bytes outside frames, such as
+   * the ROM boot banner, are ignored.
+   * @param {Uint8Array} bytes - Received bytes
+   */
+  receive(bytes) {
+    for (const byte of bytes) {
+      if (romLoader.frame === null) {
+        if (byte === SLIP_END) romLoader.frame = [];
+      } else if (romLoader.escaped) {
+        romLoader.frame.push(byte === SLIP_ESC_END ? SLIP_END : SLIP_ESC);
+        romLoader.escaped = false;
+      } else if (byte === SLIP_ESC) {
+        romLoader.escaped = true;
+      } else if (byte !== SLIP_END) {
+        romLoader.frame.push(byte);
+      } else if (romLoader.frame.length > 0) {
+        romLoader.packets.push(new Uint8Array(romLoader.frame));
+        romLoader.frame = null;
+      }
+      // A SLIP_END right after another one starts the frame afresh
+    }
+  },
+
+  /**
+   * Waits for the next complete packet
+   * @param {number} timeoutMs - Time to wait
+   * @returns {Promise<Uint8Array>} - Packet contents
+   */
+  async readPacket(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (romLoader.packets.length === 0) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error("Timed out waiting for the bootloader");
+      }
+
+      if (!romLoader.pendingRead) {
+        romLoader.pendingRead = romLoader.transport.read();
+      }
+      const read = romLoader.pendingRead;
+      const result = await Promise.race([
+        read,
+        utils.delay(remaining).then(() => null),
+      ]);
+      if (!result) continue;
+
+      if (romLoader.pendingRead === read) romLoader.pendingRead = null;
+      if (result.done) throw new Error("Serial port closed");
+      romLoader.receive(result.value);
+    }
+
+    return romLoader.packets.shift();
+  },
+
+  /**
+   * Sends a command and waits for its response. Responses to other commands
+   * (such as the extra replies to SYNC) are skipped.
+   * @param {number} op - One of ROM_COMMANDS
+   * @param {Uint8Array} data - Command payload
+   * @param {Object} options - `checksum`, `timeout`, and `resultLength`, the
+   *   number of result bytes that precede the status bytes
+   * @returns {Promise<{value: number, data: Uint8Array}>} - Response value and result bytes
+   */
+  async command(op, data = new Uint8Array(0), options = {}) {
+    const { checksum = 0, timeout = ROM_TIMEOUT, resultLength = 0 } = options;
+
+    const packet = new Uint8Array(8 + data.length);
+    const header = new DataView(packet.buffer);
+    header.setUint8(1, op);
+    header.setUint16(2, data.length, true);
+    header.setUint32(4, checksum, true);
+    packet.set(data, 8);
+    await romLoader.transport.write(romLoader.slipEncode(packet));
+
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const response = await romLoader.readPacket(
+        Math.max(deadline - Date.now(), 0)
+      );
+      if (response.length < 8 || response[0] !== 0x01 || response[1] !== op) {
+        continue;
+      }
+
+      const view = new DataView(response.buffer, response.byteOffset);
+      const body = response.subarray(8, 8 + view.getUint16(2, true));
+      if (body.length < resultLength + 2) {
+        throw new Error(
+          `Short bootloader response to command 0x${op.toString(16)}`
+        );
+      }
+      if (body[resultLength] !== 0) {
+        throw new Error(
+          `Bootloader command 0x${op.toString(16)} failed (error 0x${body[
+            resultLength + 1
+          ].toString(16)})`
+        );
+      }
+
+      return {
+        value: view.getUint32(4, true),
+        data: body.subarray(0, resultLength),
+      };
+    }
+  },
+
+  /**
+   * Packs 32-bit little-endian words into a payload
+   * @param {...number} words - Words to pack
+   * @returns {Uint8Array} - Payload
+   */
+  pack(...words) {
+    const view = new DataView(new ArrayBuffer(words.length * 4));
+    words.forEach((word, i) => view.setUint32(i * 4, word, true));
+    return new Uint8Array(view.buffer);
+  },
+
+  /**
+   * Resets the chip into the ROM bootloader using DTR (IO0) and RTS (EN)
+   * @param {boolean} usbJtag - Use the sequence for the built-in USB-Serial/JTAG
+   * @returns {Promise<void>} - Resolves once the reset sequence is sent
+   */
+  async resetToBootloader(usbJtag) {
+    const signals = (dtr, rts) =>
+      romLoader.transport.setSignals({
+        dataTerminalReady: dtr,
+        requestToSend: rts,
+      });
+
+    if (usbJtag) {
+      await signals(false, false);
+      await utils.delay(100);
+      await signals(true, false);
+      await utils.delay(100);
+      await signals(false, true);
+      await utils.delay(100);
+      await signals(false, false);
+    } else {
+      await signals(false, true);
+      await utils.delay(100);
+      await signals(true, false);
+      await utils.delay(50);
+      await signals(false, false);
+    }
+  },
+
+  /**
+   * Resets the chip so it boots the newly written firmware
+   * @returns {Promise<void>} - Resolves once the reset pulse is sent
+   */
+  async hardReset() {
+    await romLoader.transport.setSignals({ requestToSend: true });
+    await utils.delay(100);
+    await romLoader.transport.setSignals({ requestToSend: false });
+  },
+
+  /**
+   * Resets into the bootloader and synchronizes, alternating between the
+   * classic and USB-Serial/JTAG reset sequences
+   * @returns {Promise<void>} - Resolves once the bootloader answers
+   */
+  async connect() {
+    const syncPayload = new Uint8Array(36).fill(0x55);
+    syncPayload.set([0x07, 0x07, 0x12, 0x20]);
+
+    for (let attempt = 0; attempt < ROM_SYNC_ATTEMPTS * 2; attempt++) {
+      await romLoader.resetToBootloader(attempt % 2 === 1);
+
+      for (let i = 0; i < ROM_SYNC_ATTEMPTS; i++) {
+        try {
+          await romLoader.command(ROM_COMMANDS.SYNC, syncPayload, {
+            timeout: ROM_SYNC_TIMEOUT,
+          });
+          // Let the remaining SYNC replies arrive, then drop them
+          await utils.delay(ROM_SYNC_TIMEOUT);
+          romLoader.packets = [];
+          return;
+        } catch (error) {
+          console.debug("Bootloader sync attempt failed:", error.message);
+        }
+      }
+    }
+
+    throw new Error(
+      "Bootloader did not respond. Hold BOOT while pressing RESET and try again."
+    );
+  },
+
+  /**
+   * Identifies the chip from its detection register
+   * @returns {Promise<string>} - Chip name such as ESP32-S3
+   */
+  async detectChip() {
+    const { value } = await romLoader.command(
+      ROM_COMMANDS.READ_REG,
+      romLoader.pack(CHIP_DETECT_MAGIC_REG)
+    );
+    const chip = ROM_CHIP_MAGIC[value >>> 0];
+    if (!chip) {
+      throw new Error(
+        `Unrecognised chip (magic 0x${(value >>> 0).toString(16)})`
+      );
+    }
+    return chip;
+  },
+
+  /**
+   * Attaches the SPI flash and sets its size
+   * @param {number} flashSize - Flash size in bytes
+   * @returns {Promise<void>} - Resolves once the flash is ready
+   */
+  async attachFlash(flashSize) {
+    await romLoader.command(ROM_COMMANDS.SPI_ATTACH, romLoader.pack(0, 0));
+    await romLoader.command(
+      ROM_COMMANDS.SPI_SET_PARAMS,
+      romLoader.pack(0, flashSize, 0x10000, 0x1000, 0x100, 0xffff)
+    );
+  },
+
+  /**
+   * Switches the bootloader and the transport to a new baud rate
+   * @param {number} baudRate - New baud rate
+   * @returns {Promise<void>} - Resolves once both sides have switched
+   */
+  async changeBaudRate(baudRate) {
+    await romLoader.command(
+      ROM_COMMANDS.CHANGE_BAUDRATE,
+      romLoader.pack(baudRate, 0)
+    );
+
+    // A read pending on the old port setup resolves as closed; ignore it
+    romLoader.pendingRead = null;
+    await romLoader.transport.setBaudRate(baudRate);
+    await utils.delay(50);
+    romLoader.packets = [];
+  },
+
+  /**
+   * Erases and writes a flash region
+   * @param {number} offset - Flash offset
+   * @param {Uint8Array} data - Data to write
+   * @param {Function} onProgress - Called with the bytes written so far
+   * @returns {Promise<void>} - Resolves once every block is acknowledged
+   */
+  async writeFlash(offset, data, onProgress = () => {}) {
+    const blocks = Math.ceil(data.length / ROM_FLASH_WRITE_SIZE);
+    const eraseTimeout = Math.max(
+      ROM_TIMEOUT,
+      Math.ceil((data.length / 0x100000) * ROM_ERASE_TIMEOUT_PER_MB)
+    );
+
+    // Every ROM except the original ESP32 expects an "encrypted" flag
+    const beginWords = [data.length, blocks, ROM_FLASH_WRITE_SIZE, offset];
+    if (romLoader.chip !== "ESP32") beginWords.push(0);
+    await romLoader.command(
+      ROM_COMMANDS.FLASH_BEGIN,
+      romLoader.pack(...beginWords),
+      { timeout: eraseTimeout }
+    );
+
+    for (let sequence = 0; sequence < blocks; sequence++) {
+      const block = new Uint8Array(ROM_FLASH_WRITE_SIZE).fill(0xff);
+      block.set(
+        data.subarray(
+          sequence * ROM_FLASH_WRITE_SIZE,
+          (sequence + 1) * ROM_FLASH_WRITE_SIZE
+        )
+      );
+
+      let checksum = ROM_CHECKSUM_SEED;
+      block.forEach((byte) => (checksum ^= byte));
+
+      const payload = new Uint8Array(16 + block.length);
+      payload.set(romLoader.pack(block.length, sequence, 0, 0));
+      payload.set(block, 16);
+      await romLoader.command(ROM_COMMANDS.FLASH_DATA, payload, { checksum });
+
+      onProgress(Math.min((sequence + 1) * ROM_FLASH_WRITE_SIZE, data.length));
+    }
+  },
+
+  /**
+   * Asks the bootloader for the MD5 of a flash region
+   * @param {number} offset - Flash offset
+   * @param {number} size - Region size
+   * @returns {Promise<string>} - Lowercase hexadecimal digest
+   */
+  async flashMd5(offset, size) {
+    const { data } = await romLoader.command(
+      ROM_COMMANDS.SPI_FLASH_MD5,
+      romLoader.pack(offset, size, 0, 0),
+      {
+        timeout: Math.max(
+          ROM_TIMEOUT,
+          Math.ceil((size / 0x100000) * ROM_MD5_TIMEOUT_PER_MB)
+        ),
+        resultLength: 32, // The ROM replies with the digest as hex text
+      }
+    );
+    return new TextDecoder().decode(data).toLowerCase();
+  },
+
+  /**
+   * Leaves flash mode without rebooting; use hardReset to boot the device
+   * @returns {Promise<void>} - Resolves once the bootloader acknowledges
+   */
+  async finish() {
+    await romLoader.command(ROM_COMMANDS.FLASH_END, romLoader.pack(1));
+  },
+};
+
+//==============================================================================
+// RECOVERY MODULE
+//==============================================================================
+
+/**
+ * Flashes a full factory image (bootloader, partition table, firmware and
+ * animations) through the ROM bootloader for devices that no longer boot
+ */
+const recovery = {
+  active: false, // True while recovery flashing is running
+
+  /**
+   * Wraps a Web Serial port as a romLoader transport
+   * @param {SerialPort} port - Port opened at ROM_BAUD_RATE
+   * @returns {Object} - Byte transport
+   */
+  createSerialTransport(port) {
+    const transport = {
+      reader: port.readable.getReader(),
+      writer: port.writable.getWriter(),
+
+      write: (bytes) => transport.writer.write(bytes),
+      read: () => transport.reader.read(),
+      setSignals: (signals) => port.setSignals(signals),
+
+      async setBaudRate(baudRate) {
+        await transport.release();
+        await port.open({ ...SERIAL_CONFIG, baudRate });
+        transport.reader = port.readable.getReader();
+        transport.writer = port.writable.getWriter();
+      },
+
+      async release() {
+        try {
+          await transport.reader.cancel();
+          transport.reader.releaseLock();
+          transport.writer.releaseLock();
+        } catch (error) {
+          console.warn("Failed to release recovery port:", error);
+        }
+        await port.close();
+      },
+    };
+    return transport;
+  },
+
+  /**
+   * Reads the selected factory image files
+   * @returns {Promise<Object>} - Bytes keyed by image role (missing roles omitted)
+   */
+  async readImages() {
+    const inputs = {
+      bootloader: elements.recoveryBootloader,
+      partitions: elements.recoveryPartitions,
+      firmware: elements.recoveryFirmware,
+      filesystem: elements.recoveryFilesystem,
+    };
+    const images = {};
+
+    for (const [role, input] of Object.entries(inputs)) {
+      const file = input?.files[0];
+      if (file) images[role] = new Uint8Array(await file.arrayBuffer());
+    }
+    return images;
+  },
+
+  /**
+   * Works out where each image goes. The firmware is written to the first
+   * app partition and otadata is erased so the bootloader starts it.
+   * @param {Object} images - Bytes keyed by image role
+   * @param {string} chip - Detected chip name
+   * @returns {Object} - `{ regions: [{label, offset, data}], flashSize }`
+   */
+  planRegions(images, chip) {
+    const regions = [];
+
+    if (images.bootloader) {
+      const header = firmwareImage.parseHeader(images.bootloader.buffer);
+      const chipError = firmwareImage.checkChip(header, chip);
+      if (chipError) throw new Error(`Bootloader: ${chipError}`);
+
+      regions.push({
+        label: "bootloader",
+        offset: BOOTLOADER_OFFSETS[chip] ?? 0,
+        data: images.bootloader,
+      });
+    }
+
+    if (!images.partitions) {
+      if (images.firmware || images.filesystem) {
+        throw new Error(
+          "The partition table is needed to place the firmware and animations"
+        );
+      }
+      return { regions, flashSize: 0x400000 };
+    }
+
+    const partitions = inspector.parsePartitionTable(images.partitions);
+    const find = (predicate, name) => {
+      const partition = partitions.find(predicate);
+      if (!partition) throw new Error(`Partition table has no ${name}`);
+      return partition;
+    };
+    const place = (label, partition, data) => {
+      if (data.length > partition.size) {
+        throw new Error(
+          `${label} is larger than the ${partition.label} partition`
+        );
+      }
+      regions.push({ label, offset: partition.offset, data });
+    };
+
+    regions.push({
+      label: "partition table",
+      offset: PARTITION_TABLE_OFFSET,
+      data: images.partitions,
+    });
+
+    if (images.firmware) {
+      const header = firmwareImage.parseHeader(images.firmware.buffer);
+      const chipError = firmwareImage.checkChip(header, chip);
+      if (chipError) throw new Error(`Firmware: ${chipError}`);
+
+      place(
+        "firmware",
+        find(
+          (p) =>
+            p.type === "app" &&
+            (p.subtype === "factory" || p.subtype === "ota_0"),
+          "app partition"
+        ),
+        images.firmware
+      );
+
+      const otadata = partitions.find(
+        (p) => p.type === "data" && p.subtype === "ota"
+      );
+      if (otadata) {
+        regions.push({
+          label: "otadata",
+          offset: otadata.offset,
+          data: new Uint8Array(otadata.size).fill(0xff),
+        });
+      }
+    }
+
+    if (images.filesystem) {
+      place(
+        "animations",
+        find(
+          (p) => FILESYSTEM_SUBTYPES.includes(p.subtype),
+          "filesystem partition"
+        ),
+        images.filesystem
+      );
+    }
+
+    // Smallest power-of-two flash size (at least 4 MB) holding every partition
+    const end = Math.max(...partitions.map((p) => p.offset + p.size));
+    let flashSize = 0x400000;
+    while (flashSize < end) flashSize *= 2;
+
+    return { regions, flashSize };
+  },
+
+  /**
+   * Asks for a port and runs recovery on it
+   * @returns {Promise<void>} - Resolves when recovery succeeds or fails
+   */
+  async start() {
+    if (recovery.active || isConnected) return;
+
+    let port = null;
+    try {
+      const images = await recovery.readImages();
+      if (Object.keys(images).length === 0) {
+        throw new Error("Select at least one image to flash");
+      }
+
+      if (!navigator.serial) {
+        throw new Error("Web Serial API not supported");
+      }
+      port = await navigator.serial.requestPort();
+      await port.open({ ...SERIAL_CONFIG, baudRate: ROM_BAUD_RATE });
+
+      recovery.active = true;
+      ui.updateRecoveryState();
+
+      const transport = recovery.createSerialTransport(port);
+      await recovery.flash(transport, images);
+      await transport.release();
+      port = null;
+    } catch (error) {
+      console.error("Recovery failed:", error);
+      utils.showStatus(
+        elements.recoveryStatus,
+        `Recovery failed: ${error.message}`,
+        "error"
+      );
+    } finally {
+      romLoader.close();
+      if (port) {
+        try {
+          await port.close();
+        } catch (error) {
+          console.warn("Failed to close recovery port:", error);
+        }
+      }
+      recovery.active = false;
+      ui.updateRecoveryState();
+    }
+  },
+
+  /**
+   * Writes and verifies the factory image over a transport
+   * @param {Object} transport - Byte transport connected to the device
+   * @param {Object} images - Bytes keyed by image role
+   * @returns {Promise<void>} - Resolves once the device has been reset
+   */
+  async flash(transport, images) {
+    romLoader.open(transport);
+
+    recovery.showProgress(0, "Connecting to the bootloader...");
+    await romLoader.connect();
+    romLoader.chip = await romLoader.detectChip();
+    console.log(`Bootloader connected: ${romLoader.chip}`);
+
+    const { regions, flashSize } = recovery.planRegions(images, romLoader.chip);
+    await romLoader.attachFlash(flashSize);
+    await romLoader.changeBaudRate(ROM_FLASH_BAUD_RATE);
+
+    const total = regions.reduce((sum, region) => sum + region.data.length, 0);
+    let written = 0;
+
+    for (const region of regions) {
+      const label = `${region.label} at ${utils.formatHex(region.offset)}`;
+      await romLoader.writeFlash(region.offset, region.data, (bytes) => {
+        recovery.showProgress(
+          ((written + bytes) / total) * 100,
+          `Writing ${label}...`
+        );
+      });
+
+      recovery.showProgress(
+        ((written + region.data.length) / total) * 100,
+        `Verifying ${label}...`
+      );
+      const digest = await romLoader.flashMd5(
+        region.offset,
+        region.data.length
+      );
+      if (digest !== utils.md5(region.data)) {
+        throw new Error(`Verification failed for ${label}`);
+      }
+      written += region.data.length;
+    }
+
+    await romLoader.finish();
+    await romLoader.hardReset();
+
+    recovery.showProgress(100, "Recovery complete");
+    utils.showStatus(
+      elements.recoveryStatus,
+      `Recovered ${romLoader.chip}: wrote and verified ${regions.length} region(s). The device is restarting; connect normally once it boots.`,
+      "success"
+    );
+  },
+
+  /**
+   * Updates the recovery progress bar
+   * @param {number} percent - Progress percentage (0-100)
+   * @param {string} message - Progress message
+   */
+  showProgress(percent, message) {
+    if (elements.recoveryProgress) {
+      elements.recoveryProgress.value = percent;
+    }
+    if (elements.recoveryProgressText) {
+      elements.recoveryProgressText.textContent = message;
+    }
+  },
+};
+
+//==============================================================================
+// BATCH UPDATE MODULE
+//==============================================================================
+
+/**
+ * Updates several BYTE-90 units in parallel. Each port gets its own
+ * connection (see serial.createConnection) and each image its own job, so a
+ * batch device goes through the same transfer, verification and transfer
+ * sessions as the single-device flow.
+ */
+const batch = {
+  devices: [], // { id, port, link, key, info, partitions, job, state, progress, message, result }
+  running: false, // True while a batch update is running
+  nextDeviceId: 1, // ID given to the next added device
+
+  /**
+   * Asks for a port and adds it to the batch
+   * @returns {Promise<void>} - Resolves once the device has been identified
+   */
+  async addDevice() {
+    if (batch.running || isConnected) return;
+
+    try {
+      if (!navigator.serial) {
+        throw new Error("Web Serial API not supported");
+      }
+
+      const port = await navigator.serial.requestPort();
+      if (batch.devices.some((device) => device.port === port)) {
+        utils.showStatus(
+          elements.batchStatus,
+          "That port is already in the batch",
+          "warning"
+        );
+        return;
+      }
+
+      const device = {
+        id: batch.nextDeviceId++,
+        port, // Port the device was last found on
+        link: serial.createConnection(),
+        key: null,
+        info: null,
+        partitions: null,
+        job: null,
+        state: "connecting",
+        progress: 0,
+        message: "Connecting...",
+        result: null,
+      };
+      device.link.subscribe("progress", (progress) => {
+        if (device.job) updater.handleStageProgress(device.job, progress);
+      });
+      batch.devices.push(device);
+      ui.updateBatchDevices();
+      utils.hideStatus(elements.batchStatus);
+
+      try {
+        await device.link.open(port);
+        await batch.readInfo(device);
+        batch.setState(device, "ready", 0, "Ready");
+      } catch (error) {
+        batch.setState(device, "error", 0, error.message);
+      }
+    } catch (error) {
+      console.error("Failed to add batch device:", error);
+      utils.showStatus(
+        elements.batchStatus,
+        `Could not add device: ${error.message}`,
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Closes a device's port and removes it from the batch
+   * @param {number} id - Device ID
+   * @returns {Promise<void>} - Resolves once the port is closed
+   */
+  async removeDevice(id) {
+    if (batch.running) return;
+
+    const device = batch.devices.find((entry) => entry.id === id);
+    if (!device) return;
+
+    batch.devices = batch.devices.filter((entry) => entry !== device);
+    ui.updateBatchDevices();
+    await device.link.close();
+  },
+
+  /**
+   * Reads GET_INFO over a device's link and records its identity. Once the
+   * device is known, another unit answering on its link is refused with an
+   * error marked `otherDevice`.
+   * @param {Object} device - Batch device
+   * @returns {Promise<Object>} - Device information
+   */
+  async readInfo(device) {
+    const info = await device.link.sendCommand(
+      SERIAL_COMMANDS.GET_INFO,
+      "",
+      5000
+    );
+    if (!info || !info.success) {
+      throw new Error("Could not read device information");
+    }
+    if (device.key && sessionStore.getUniqueId(info) !== device.key) {
+      const error = new Error("A different device answered on this port");
+      error.otherDevice = true;
+      throw error;
+    }
+
+    device.link.requestIds = Boolean(info.request_ids);
+    device.link.info = info;
+    device.info = info;
+    device.key = device.key || sessionStore.getUniqueId(info);
+    return info;
+  },
+
+  /**
+   * Checks that every device can be told apart after a restart. Identical
+   * units share USB IDs, so with more than one device each must report its
+   * own unique ID; a single device is found again by its USB IDs alone.
+   * @returns {string|null} - Problem to report, or null if the batch can run
+   */
+  checkDeviceKeys() {
+    if (batch.devices.length < 2) return null;
+
+    const seen = new Map(); // Device ID by unique ID
+    for (const device of batch.devices) {
+      if (!device.key) {
+        return `Device ${device.id} does not report a unique ID. Remove it from the batch and update it on its own.`;
+      }
+      if (seen.has(device.key)) {
+        return `Devices ${seen.get(device.key)} and ${
+          device.id
+        } report the same ID (${
+          device.key
+        }). Remove one of them from the batch.`;
+      }
+      seen.set(device.key, device.id);
+    }
+    return null;
+  },
+
+  /**
+   * Reads the selected batch images in the order updater.orderParts gives
+   * @returns {Promise<Array<Object>>} - `{updateType, label, file, buffer,
+   *   header, hashes}`
+   */
+  async readImages() {
+    const images = [];
+    const sources = [
+      ["firmware", "firmware", elements.batchFirmwareFile],
+      ["filesystem", "animations", elements.batchFilesystemFile],
+    ];
+
+    for (const [updateType, label, input] of sources) {
+      const file = input?.files[0];
+      if (!file) continue;
+
+      const nameError = updater.checkImageName(file, updateType);
+      if (nameError) throw new Error(nameError);
+
+      const buffer = await file.arrayBuffer();
+      images.push({
+        updateType,
+        label,
+        file,
+        buffer,
+        header:
+          updateType === "firmware" ? firmwareImage.parseHeader(buffer) : null,
+        hashes: {}, // Digests by algorithm, computed once for every device
+      });
+    }
+    return updater.orderParts(images);
+  },
+
+  /**
+   * Applies the selected images to every device in parallel and shows the
+   * summary once all of them have finished
+   * @returns {Promise<void>} - Resolves when every device is done
+   */
+  async start() {
+    if (batch.running || batch.devices.length === 0) return;
+
+    let images;
+    try {
+      const keyError = batch.checkDeviceKeys();
+      if (keyError) throw new Error(keyError);
+
+      images = await batch.readImages();
+      if (images.length === 0) {
+        throw new Error("Select a firmware or animations image");
+      }
+    } catch (error) {
+      utils.showStatus(elements.batchStatus, error.message, "error");
+      return;
+    }
+
+    batch.running = true;
+    ui.updateBatchState();
+    ui.updateBatchSummary();
+    utils.showStatus(
+      elements.batchStatus,
+      `Updating ${batch.devices.length} device(s). Do not disconnect them.`,
+      "info"
+    );
+
+    await Promise.all(
+      batch.devices.map((device) => batch.updateDevice(device, images))
+    );
+
+    batch.running = false;
+    ui.updateBatchState();
+    ui.updateBatchSummary();
+
+    const passed = batch.devices.filter((device) => device.result?.passed);
+    utils.showStatus(
+      elements.batchStatus,
+      `Batch finished: ${passed.length} of ${batch.devices.length} device(s) updated`,
+      passed.length === batch.devices.length ? "success" : "warning"
+    );
+  },
+
+  /**
+   * Runs every image on one device and records its result
+   * @param {Object} device - Batch device
+   * @param {Array<Object>} images - Images from readImages
+   * @returns {Promise<void>} - Resolves once the device has finished
+   */
+  async updateDevice(device, images) {
+    const startTime = performance.now();
+    const result = {
+      passed: false,
+      previousVersion: null,
+      runningVersion: null,
+      seconds: 0,
+      message: "",
+    };
+    device.result = null;
+
+    try {
+      batch.setState(device, "running", 0, "Checking device...");
+      if (!device.link.port) await device.link.open(device.port);
+      await batch.readInfo(device);
+      result.previousVersion = device.info.firmware_version || null;
+
+      // The chip is checked before a restart so a wrong unit is left alone
+      for (const image of images) {
+        const chipError =
+          image.header &&
+          firmwareImage.checkChip(image.header, device.info.mcu);
+        if (chipError) throw new Error(chipError);
+      }
+
+      await batch.ensureUpdateMode(device);
+      await batch.checkImagesFit(device, images);
+
+      for (const [index, image] of images.entries()) {
+        const share = 100 / images.length;
+        const base = index * share;
+
+        device.job = updater.createJob(device.link, {
+          progress: (percent, message) =>
+            batch.setState(
+              device,
+              "running",
+              base + (percent / 100) * share * 0.9,
+              message
+            ),
+        });
+        await batch.flashImage(device, image);
+        device.job = null;
+
+        batch.setState(
+          device,
+          "running",
+          base + share * 0.9,
+          "Waiting for the device to restart..."
+        );
+        await batch.awaitRestart(device);
+        if (index < images.length - 1) await batch.ensureUpdateMode(device);
+      }
+
+      result.runningVersion = device.info.firmware_version || null;
+      const expectedVersion = images.find((image) => image.header)?.header
+        .appDesc?.version;
+
+      if (device.info.rollback_detected) {
+        throw new Error("The device rolled back to its previous firmware");
+      }
+      if (
+        expectedVersion &&
+        utils.compareVersions(result.runningVersion, expectedVersion) !== 0
+      ) {
+        throw new Error(
+          `Running ${
+            result.runningVersion || "an unknown version"
+          } instead of ${expectedVersion}`
+        );
+      }
+
+      result.passed = true;
+      result.message = "Updated";
+      batch.setState(device, "done", 100, "Updated");
+    } catch (error) {
+      console.error(`Batch device ${device.id} failed:`, error);
+      result.message = error.message;
+      batch.setState(device, "error", device.progress, error.message);
+
+      device.job = null;
+
+      // As in the single-device flow, a session the device could not drop
+      // stays saved so the upload can be resumed once it is connected alone
+      try {
+        await device.link.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
+        await updater.clearSession(batch.getSessionKey(device));
+      } catch (abortError) {
+        console.warn("Failed to abort batch update:", abortError);
+      }
+    }
+
+    result.seconds = (performance.now() - startTime) / 1000;
+    device.result = result;
+    ui.updateBatchDevice(device);
+  },
+
+  /**
+   * Checks every image against a device's partition table, as checkImage
+   * does for the connected device
+   * @param {Object} device - Batch device in Update Mode
+   * @param {Array<Object>} images - Images from readImages
+   * @returns {Promise<void>} - Rejects with the first image that does not fit
+   */
+  async checkImagesFit(device, images) {
+    device.partitions = null;
+    try {
+      device.partitions = await inspector.readPartitions(device.link);
+    } catch (error) {
+      console.warn("Failed to get partition info:", error);
+    }
+
+    for (const image of images) {
+      const sizeError = inspector.checkImageFits(
+        image.buffer.byteLength,
+        image.updateType,
+        device.partitions
+      );
+      if (sizeError) throw new Error(sizeError);
+    }
+  },
+
+  /**
+   * Restarts a device into Update Mode if it is in another mode
+   * @param {Object} device - Batch device with current info
+   * @returns {Promise<void>} - Resolves once the device is in Update Mode
+   */
+  async ensureUpdateMode(device) {
+    if (device.info.current_mode === UPDATE_MODE) return;
+
+    batch.setState(
+      device,
+      "running",
+      device.progress,
+      "Restarting into Update Mode..."
+    );
+    try {
+      await device.link.sendCommand(
+        SERIAL_COMMANDS.RESTART,
+        UPDATE_MODE,
+        RESTART_ACK_TIMEOUT
+      );
+    } catch (error) {
+      console.debug("No reply to RESTART:", error.message);
+    }
+
+    await batch.awaitRestart(device);
+    if (device.info.current_mode !== UPDATE_MODE) {
+      throw new Error(`Device stayed in ${device.info.current_mode}`);
+    }
+  },
+
+  /**
+   * Sends one image to a device over its job and finalizes it, keeping a
+   * transfer session for it like runUpdate does
+   * @param {Object} device - Batch device with a job
+   * @param {Object} image - Image from readImages
+   * @returns {Promise<void>} - Resolves once FINISH_UPDATE succeeds
+   */
+  async flashImage(device, image) {
+    const { job } = device;
+    const hashAlgorithm = updater.selectHashAlgorithm(device.link);
+    image.hashes[hashAlgorithm] =
+      image.hashes[hashAlgorithm] ||
+      (await utils.computeHash(image.buffer, hashAlgorithm));
+
+    const session = updater.createSession(
+      batch.getSessionKey(device),
+      image.file,
+      image.updateType,
+      hashAlgorithm,
+      image.hashes[hashAlgorithm]
+    );
+
+    updater.resetStages(job);
+    await device.link.negotiateFraming();
+    await updater.prepareDevice(job, image.buffer.byteLength, image.updateType);
+    await updater.saveSession(session);
+
+    await updater.transferImage(job, image.buffer, 0, (offset) =>
+      updater.saveSession({ ...session, offset })
+    );
+    await updater.verifyImage(job, hashAlgorithm, session.fileHash);
+    await updater.finishUpdate(job);
+    updater.endStages(job, true);
+
+    await updater.clearSession(session.deviceKey);
+  },
+
+  /**
+   * Returns the key a device's transfer sessions are saved under
+   * @param {Object} device - Batch device
+   * @returns {string} - Device identity key
+   */
+  getSessionKey(device) {
+    return sessionStore.getDeviceKey(device.info, device.port);
+  },
+
+  /**
+   * Waits for a restarting device to come back and reopens its link on the
+   * new port. Identical units share USB IDs, so a returning port is matched
+   * by the unique ID the device reports (see readInfo and checkDeviceKeys),
+   * and ports held by other batch devices are skipped.
+   * @param {Object} device - Batch device
+   * @returns {Promise<void>} - Resolves once the device answers GET_INFO again
+   */
+  async awaitRestart(device) {
+    const portInfo = device.port.getInfo();
+    await utils.delay(RESTART_DISCONNECT_DELAY);
+    await device.link.close();
+
+    const deadline = Date.now() + RESTART_RECONNECT_TIMEOUT;
+    const otherPorts = new Set(); // Ports another unit has answered on
+    await utils.delay(RESTART_SETTLE_DELAY);
+
+    while (Date.now() < deadline) {
+      const ports = (await navigator.serial.getPorts()).filter(
+        (port) =>
+          serial.matchesPortInfo(port, portInfo) &&
+          !otherPorts.has(port) &&
+          !batch.devices.some((other) => other.link.port === port)
+      );
+
+      for (const port of ports) {
+        try {
+          await device.link.open(port);
+          await batch.readInfo(device);
+          device.port = port;
+          return;
+        } catch (error) {
+          // Still enumerating, held by another device, or another unit. A
+          // port another unit answered on is left to that unit, so two
+          // devices restarting together cannot keep taking each other's port.
+          console.debug("Batch port not ready:", error.message);
+          if (error.otherDevice) otherPorts.add(port);
+          if (device.link.port) await device.link.close();
+        }
+      }
+
+      await utils.delay(RESTART_POLL_INTERVAL);
+    }
+
+    throw new Error("The device did not come back after restarting");
+  },
+
+  /**
+   * Records a device's state and refreshes its card
+   * @param {Object} device - Batch device
+   * @param {string} state - connecting, ready, running, done or error
+   * @param {number} progress - Progress percentage (0-100)
+   * @param {string} message - Status line shown on the card
+   */
+  setState(device, state, progress, message) {
+    device.state = state;
+    device.progress = progress;
+    device.message = message;
+    ui.updateBatchDevice(device);
+  },
+};
+
+//==============================================================================
+// TRANSFER SESSION MODULE
+//==============================================================================
+
+/**
+ * Persists transfer sessions in IndexedDB so an interrupted upload survives a
+ * USB drop or page reload. The selected File is stored with the session.
+ */
+const sessionStore = {
+  db: null, // Open IDBDatabase, created on first use
+
+  /**
+   * Opens the session database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} - Open database
+   */
+  async open() {
+    if (sessionStore.db) return sessionStore.db;
+
+    if (!window.indexedDB) {
+      throw new Error("IndexedDB not supported");
+    }
+
+    sessionStore.db = await new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(
+        SESSION_DB_NAME,
+        SESSION_DB_VERSION
+      );
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SESSION_STORE_NAME, {
+          keyPath: "deviceKey",
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return sessionStore.db;
+  },
+
+  /**
+   * Runs a single request against the session store
+   * @param {string} mode - Transaction mode (readonly or readwrite)
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result once the transaction completes
+   */
+  async request(mode, operation) {
+    const db = await sessionStore.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(SESSION_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(SESSION_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  /**
+   * Loads the saved session for a device
+   * @param {string} deviceKey - Device identity key
+   * @returns {Promise<Object|undefined>} - Saved session, if any
+   */
+  load(deviceKey) {
+    return sessionStore.request("readonly", (store) => store.get(deviceKey));
+  },
+
+  /**
+   * Saves or replaces the session for a device
+   * @param {Object} session - Transfer session including deviceKey
+   * @returns {Promise<void>} - Resolves once written
+   */
+  save(session) {
+    return sessionStore.request("readwrite", (store) =>
+      store.put({ ...session, updatedAt: Date.now() })
+    );
+  },
+
+  /**
+   * Deletes the session for a device
+   * @param {string} deviceKey - Device identity key
+   * @returns {Promise<void>} - Resolves once deleted
+   */
+  clear(deviceKey) {
+    return sessionStore.request("readwrite", (store) =>
+      store.delete(deviceKey)
+    );
+  },
+
+  /**
+   * Returns the unique ID a device reports. Batch mode also uses it to find a
+   * device again after a restart.
+   * @param {Object|null} info - Device information from GET_INFO
+   * @returns {string|null} - Unique ID, or null if the firmware reports none
+   */
+  getUniqueId(info) {
+    const uniqueId = info?.mac || info?.chip_id || info?.serial_number;
+    return uniqueId ? String(uniqueId) : null;
+  },
+
+  /**
+   * Builds a stable identity for a device from its unique ID. Falls back to
+   * the USB IDs and MCU model when the firmware does not report one.
+   * @param {Object|null} info - Device information from GET_INFO
+   * @param {SerialPort|null} port - Port the device is on
+   * @returns {string} - Device identity key
+   */
+  getDeviceKey(info, port = serial.connection.port) {
+    const uniqueId = sessionStore.getUniqueId(info);
+    if (uniqueId) return uniqueId;
+
+    const usbInfo = port?.getInfo?.() || {};
+    return [usbInfo.usbVendorId, usbInfo.usbProductId, info?.mcu].join(":");
+  },
+};
+
+//==============================================================================
+// FIRMWARE IMAGE MODULE
+//==============================================================================
+
+/**
+ * Parses ESP32 app image headers so bad or mismatched images are rejected
+ * before anything is sent to the device
+ */
+const firmwareImage = {
+  /**
+   * Reads and parses the header of a firmware image file
+   * @param {File} file - Firmware image
+   * @returns {Promise<Object>} - Parsed header (see parseHeader)
+   */
+  async readHeader(file) {
+    const length =
+      ESP_IMAGE_HEADER_SIZE + ESP_SEGMENT_HEADER_SIZE + ESP_APP_DESC_SIZE;
+    const buffer = await file.slice(0, length).arrayBuffer();
+    return firmwareImage.parseHeader(buffer);
+  },
+
+  /**
+   * Parses esp_image_header_t and the esp_app_desc_t in the first segment
+   * @param {ArrayBuffer} buffer - Start of the image
+   * @returns {Object} - Segment count, chip and app description (null if the
+   *   image has none)
+   */
+  parseHeader(buffer) {
+    if (buffer.byteLength < ESP_IMAGE_HEADER_SIZE) {
+      throw new Error("File is too small to be a firmware image");
+    }
+
+    const view = new DataView(buffer);
+    if (view.getUint8(0) !== ESP_IMAGE_MAGIC) {
+      throw new Error("Not an ESP32 firmware image (bad magic byte)");
+    }
+
+    const segmentCount = view.getUint8(1);
+    if (segmentCount === 0 || segmentCount > ESP_IMAGE_MAX_SEGMENTS) {
+      throw new Error(`Invalid segment count (${segmentCount})`);
+    }
+
+    const chipId = view.getUint16(12, true);
+    const descOffset = ESP_IMAGE_HEADER_SIZE + ESP_SEGMENT_HEADER_SIZE;
+    let appDesc = null;
+
+    if (
+      buffer.byteLength >= descOffset + ESP_APP_DESC_SIZE &&
+      view.getUint32(descOffset, true) === ESP_APP_DESC_MAGIC
+    ) {
+      const bytes = new Uint8Array(buffer, descOffset, ESP_APP_DESC_SIZE);
+      const readString = (offset, size) => {
+        const field = bytes.subarray(offset, offset + size);
+        const end = field.indexOf(0);
+        return new TextDecoder()
+          .decode(end === -1 ? field : field.subarray(0, end))
+          .trim();
+      };
+
+      appDesc = {
+        version: readString(16, 32),
+        projectName: readString(48, 32),
+        time: readString(80, 16),
+        date: readString(96, 16),
+        idfVersion: readString(112, 32),
+      };
+    }
+
+    return {
+      segmentCount,
+      chipId,
+      chip: ESP_CHIP_IDS[chipId] || null,
+      entryAddress: view.getUint32(4, true),
+      hashAppended: view.getUint8(23) === 1,
+      appDesc,
+    };
+  },
+
+  /**
+   * Works out the length of an app image by walking its segment headers, so
+   * a partition read can stop at the end of the image
+   * @param {Function} readAt - Reads `(offset, length)` and resolves to an ArrayBuffer
+   * @returns {Promise<number>} - Image length in bytes
+   */
+  async measureImage(readAt) {
+    const header = firmwareImage.parseHeader(
+      await readAt(0, ESP_IMAGE_HEADER_SIZE)
+    );
+    let offset = ESP_IMAGE_HEADER_SIZE;
+
+    for (let i = 0; i < header.segmentCount; i++) {
+      const segment = new DataView(
+        await readAt(offset, ESP_SEGMENT_HEADER_SIZE)
+      );
+      offset += ESP_SEGMENT_HEADER_SIZE + segment.getUint32(4, true);
+    }
+
+    // A checksum byte padded to 16 bytes, then the optional SHA-256 digest
+    return Math.ceil((offset + 1) / 16) * 16 + (header.hashAppended ? 32 : 0);
+  },
+
+  /**
+   * Checks that an image was built for the connected device's chip
+   * @param {Object} header - Parsed image header
+   * @param {string|null} mcu - MCU model reported by the device
+   * @returns {string|null} - Error message, or null if the image matches
+   */
+  checkChip(header, mcu) {
+    if (!header.chip) {
+      return `Image targets an unknown chip (ID ${firmwareImage.formatChipId(
+        header.chipId
+      )})`;
+    }
+    if (!mcu) {
+      console.warn("Device did not report its MCU; skipping chip check");
+      return null;
+    }
+    if (utils.normalizeChipName(header.chip) !== utils.normalizeChipName(mcu)) {
+      return `This image is for ${header.chip}, but the device is ${mcu}`;
+    }
+    return null;
+  },
+
+  /**
+   * Formats a chip ID from the extended header (e.g. 0x0009)
+   * @param {number} chipId - Chip ID
+   * @returns {string} - Hexadecimal chip ID
+   */
+  formatChipId(chipId) {
+    return `0x${chipId.toString(16).padStart(4, "0")}`;
+  },
+
+  /**
+   * Summarizes an image header for the confirmation prompt
+   * @param {Object} header - Parsed image header
+   * @returns {string} - Multi-line description
+   */
+  describe(header) {
+    const desc = header.appDesc;
+    const lines = [
+      `Project: ${desc?.projectName || "Unknown"}`,
+      `Version: ${desc?.version || "Unknown"}`,
+      `Chip: ${header.chip}`,
+      `ESP-IDF: ${desc?.idfVersion || "Unknown"}`,
+      `Built: ${desc ? `${desc.date} ${desc.time}` : "Unknown"}`,
+    ];
+    return lines.join("\n");
+  },
+};
+
+//==============================================================================
+// LITTLEFS IMAGE MODULE
+//==============================================================================
+
+/**
+ * Writes LittleFS images with files in the root directory. Files are stored
+ * as CTZ skip-lists and directory entries are split across metadata pairs
+ * linked by hard tails, as littlefs does when compacting a full directory.
+ */
+const littlefs = {
+  /**
+   * Builds a complete filesystem image
+   * @param {Array<{name: string, data: Uint8Array}>} files - Root directory files
+   * @param {number} imageSize - Filesystem partition size in bytes
+   * @returns {Uint8Array} - Image padded with erased (0xFF) blocks
+   */
+  buildImage(files, imageSize) {
+    const blockCount = Math.floor(imageSize / LFS_BLOCK_SIZE);
+    const entries = littlefs.prepareEntries(
+      files.map((file) => ({ ...file, size: file.data.length }))
+    );
+    const groups = littlefs.groupEntries(entries);
+
+    const needed = littlefs.countBlocks(entries);
+    if (needed > blockCount) {
+      throw new Error(
+        `Files need ${needed} blocks but the partition only has ${blockCount}`
+      );
+    }
+
+    const image = new Uint8Array(blockCount * LFS_BLOCK_SIZE).fill(0xff);
+    let nextBlock = groups.length * 2; // Metadata pairs come first
+    const allocate = () => nextBlock++;
+
+    entries.forEach((entry) => {
+      entry.struct = littlefs.writeCtz(image, entry.data, allocate);
+    });
+
+    groups.forEach((group, index) => {
+      const tags = [];
+
+      if (index === 0) {
+        const superblock = new DataView(new ArrayBuffer(24));
+        [
+          LFS_DISK_VERSION,
+          LFS_BLOCK_SIZE,
+          blockCount,
+          LFS_NAME_MAX,
+          LFS_FILE_MAX,
+          LFS_ATTR_MAX,
+        ].forEach((value, i) => superblock.setUint32(i * 4, value, true));
+
+        tags.push(
+          {
+            type: LFS_TAG_TYPES.SUPERBLOCK,
+            id: 0,
+            data: new TextEncoder().encode("littlefs"),
+          },
+          {
+            type: LFS_TAG_TYPES.INLINESTRUCT,
+            id: 0,
+            data: new Uint8Array(superblock.buffer),
+          }
+        );
+      }
+
+      // The superblock entry takes id 0 in the root pair
+      const firstId = index === 0 ? 1 : 0;
+      group.forEach((entry, i) => {
+        tags.push(
+          { type: LFS_TAG_TYPES.REG, id: firstId + i, data: entry.nameBytes },
+          { ...entry.struct, id: firstId + i }
+        );
+      });
+
+      if (index < groups.length - 1) {
+        const tail = new DataView(new ArrayBuffer(8));
+        tail.setUint32(0, (index + 1) * 2, true);
+        tail.setUint32(4, (index + 1) * 2 + 1, true);
+        tags.push({
+          type: LFS_TAG_TYPES.HARDTAIL,
+          id: 0x3ff,
+          data: new Uint8Array(tail.buffer),
+        });
+      }
+
+      littlefs.writeMetadata(image, index * 2, tags);
+    });
+
+    return image;
+  },
+
+  /**
+   * Validates file names and sorts entries the way littlefs orders them
+   * @param {Array<Object>} files - Files with a name and size
+   * @returns {Array<Object>} - Entries with encoded names
+   */
+  prepareEntries(files) {
+    const seen = new Set();
+
+    return files
+      .map((file) => {
+        const nameBytes = new TextEncoder().encode(file.name);
+        if (nameBytes.length === 0 || file.name.includes("/")) {
+          throw new Error(`Invalid file name "${file.name}"`);
+        }
+        if (nameBytes.length > LFS_NAME_MAX) {
+          throw new Error(
+            `File name "${file.name}" is longer than ${LFS_NAME_MAX} bytes`
+          );
+        }
+        if (seen.has(file.name)) {
+          throw new Error(`Duplicate file name "${file.name}"`);
+        }
+        seen.add(file.name);
+        return { ...file, nameBytes };
+      })
+      .sort((a, b) => {
+        const length = Math.min(a.nameBytes.length, b.nameBytes.length);
+        for (let i = 0; i < length; i++) {
+          if (a.nameBytes[i] !== b.nameBytes[i]) {
+            return a.nameBytes[i] - b.nameBytes[i];
+          }
+        }
+        return a.nameBytes.length - b.nameBytes.length;
+      });
+  },
+
+  /**
+   * Splits entries into metadata pairs, keeping each commit within half a
+   * block so the device can still append to it
+   * @param {Array<Object>} entries - Prepared entries
+   * @returns {Array<Array<Object>>} - Entries per metadata pair
+   */
+  groupEntries(entries) {
+    // Revision, superblock entry, hard tail and CRC
+    const overhead = 4 + (4 + 8 + 4 + 24) + (4 + 8) + 8;
+    const budget = LFS_BLOCK_SIZE / 2 - overhead;
+    const groups = [[]];
+    let used = 0;
+
+    entries.forEach((entry) => {
+      const size = 4 + entry.nameBytes.length + 4 + (entry.size > 0 ? 8 : 0);
+      if (used + size > budget) {
+        groups.push([]);
+        used = 0;
+      }
+      groups[groups.length - 1].push(entry);
+      used += size;
+    });
+
+    return groups;
+  },
+
+  /**
+   * Counts the blocks an image with the given entries occupies
+   * @param {Array<Object>} entries - Prepared entries
+   * @returns {number} - Metadata and data blocks
+   */
+  countBlocks(entries) {
+    return (
+      littlefs.groupEntries(entries).length * 2 +
+      entries.reduce(
+        (total, entry) => total + littlefs.countCtzBlocks(entry.size),
+        0
+      )
+    );
+  },
+
+  /**
+   * Counts the blocks of a CTZ skip-list holding the given number of bytes.
+   * Block i > 0 starts with ctz(i) + 1 pointers to earlier blocks.
+   * @param {number} size - File size in bytes
+   * @returns {number} - Number of data blocks
+   */
+  countCtzBlocks(size) {
+    let blocks = 0;
+    for (let remaining = size; remaining > 0; blocks++) {
+      remaining -= LFS_BLOCK_SIZE - littlefs.ctzPointerBytes(blocks);
+    }
+    return blocks;
+  },
+
+  /**
+   * Size of the skip-list pointers at the start of a CTZ block
+   * @param {number} index - Block index within the file
+   * @returns {number} - Pointer bytes
+   */
+  ctzPointerBytes(index) {
+    if (index === 0) return 0;
+    return 4 * (31 - Math.clz32(index & -index) + 1);
+  },
+
+  /**
+   * Writes file data as a CTZ skip-list
+   * @param {Uint8Array} image - Image being built
+   * @param {Uint8Array} data - File contents
+   * @param {Function} allocate - Returns the next free block
+   * @returns {Object} - Struct tag for the directory entry
+   */
+  writeCtz(image, data, allocate) {
+    if (data.length === 0) {
+      return { type: LFS_TAG_TYPES.INLINESTRUCT, data: new Uint8Array(0) };
+    }
+
+    const view = new DataView(image.buffer);
+    const blocks = [];
+    let offset = 0;
+
+    for (let index = 0; offset < data.length; index++) {
+      const block = allocate();
+      let position = block * LFS_BLOCK_SIZE;
+
+      const pointers = littlefs.ctzPointerBytes(index) / 4;
+      for (let skip = 0; skip < pointers; skip++) {
+        view.setUint32(position, blocks[index - 2 ** skip], true);
+        position += 4;
+      }
+
+      const length = Math.min(
+        data.length - offset,
+        (block + 1) * LFS_BLOCK_SIZE - position
+      );
+      image.set(data.subarray(offset, offset + length), position);
+      offset += length;
+      blocks.push(block);
+    }
+
+    const struct = new DataView(new ArrayBuffer(8));
+    struct.setUint32(0, blocks[blocks.length - 1], true);
+    struct.setUint32(4, data.length, true);
+    return {
+      type: LFS_TAG_TYPES.CTZSTRUCT,
+      data: new Uint8Array(struct.buffer),
+    };
+  },
+
+  /**
+   * Writes one block of a metadata pair as a single commit. The other block
+   * is left erased and has a lower revision, so littlefs reads this one.
+   * @param {Uint8Array} image - Image being built
+   * @param {number} block - Block number
+   * @param {Array<{type: number, id: number, data: Uint8Array}>} tags - Entries
+   */
+  writeMetadata(image, block, tags) {
+    const bytes = image.subarray(
+      block * LFS_BLOCK_SIZE,
+      (block + 1) * LFS_BLOCK_SIZE
+    );
+    const view = new DataView(bytes.buffer, bytes.byteOffset, LFS_BLOCK_SIZE);
+
+    view.setUint32(0, 1, true); // Revision count
+    let offset = 4;
+    let previousTag = 0xffffffff;
+
+    // Tags are big-endian and XORed with the previous tag
+    const writeTag = (type, id, size) => {
+      const tag = ((type << 20) | (id << 10) | size) >>> 0;
+      view.setUint32(offset, (tag ^ previousTag) >>> 0);
+      offset += 4;
+      previousTag = tag;
+    };
+
+    tags.forEach(({ type, id, data }) => {
+      writeTag(type, id, data.length);
+      bytes.set(data, offset);
+      offset += data.length;
+    });
+
+    // The CRC tag pads the commit to the program size
+    const end = Math.ceil((offset + 8) / LFS_PROG_SIZE) * LFS_PROG_SIZE;
+    if (end > LFS_BLOCK_SIZE) {
+      throw new Error("Directory entries do not fit in a metadata block");
+    }
+    writeTag(LFS_TAG_TYPES.CRC, 0x3ff, end - offset - 4);
+    view.setUint32(offset, littlefs.crc(bytes.subarray(0, offset)), true);
+  },
+
+  /**
+   * Computes the littlefs CRC-32 (reflected 0x04C11DB7, no final XOR)
+   * @param {Uint8Array} bytes - Data to checksum
+   * @returns {number} - Unsigned 32-bit CRC
+   */
+  crc(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc >>> 0;
+  },
+};
+
+//==============================================================================
+// ANIMATIONS BUILDER MODULE
+//==============================================================================
+
+/**
+ * Collects individual animation files and builds the filesystem image for
+ * the `filesystem` update type
+ */
+const animationBuilder = {
+  files: [], // Queued asset files, unique by name
+
+  /**
+   * Adds files to the queue, replacing queued files with the same name. The
+   * queue replaces any local file or release selected for the animations.
+   * @param {FileList|Array<File>} fileList - Files to add
+   */
+  addFiles(fileList) {
+    const added = Array.from(fileList);
+    if (added.length === 0) return;
+
+    const names = new Set(added.map((file) => file.name));
+    animationBuilder.files = animationBuilder.files
+      .filter((file) => !names.has(file.name))
+      .concat(added);
+
+    // Built animations replace any other animations source
+    const full = elements.updateType?.value === "full";
+    const fileInput = full ? elements.animationsFile : elements.firmwareFile;
+    if (fileInput) fileInput.value = "";
+    if (catalog.getReleaseImage(full ? "full" : "filesystem")) {
+      catalog.releaseImage = null;
+    }
+
+    ui.updateAssetList();
+  },
+
+  /**
+   * Removes a queued file
+   * @param {string} name - File name
+   */
+  removeFile(name) {
+    animationBuilder.files = animationBuilder.files.filter(
+      (file) => file.name !== name
+    );
+    ui.updateAssetList();
+  },
+
+  /**
+   * Empties the queue
+   */
+  clear() {
+    animationBuilder.files = [];
+    if (elements.assetFiles) elements.assetFiles.value = "";
+    ui.updateAssetList();
+  },
+
+  /**
+   * Returns the size of the device's filesystem partition
+   * @returns {number|null} - Partition size in bytes, or null if unknown
+   */
+  getPartitionSize() {
+    return inspector.findTargetPartition("filesystem")?.size || null;
+  },
+
+  /**
+   * Estimates how much of the partition the queued files will use
+   * @returns {Object} - Needed and available blocks (available is null if
+   *   the partition size is unknown)
+   */
+  getUsage() {
+    const partitionSize = animationBuilder.getPartitionSize();
+    let needed = null;
+
+    try {
+      needed = littlefs.countBlocks(
+        littlefs.prepareEntries(
+          animationBuilder.files.map(({ name, size }) => ({ name, size }))
+        )
+      );
+    } catch (error) {
+      console.warn("Cannot size animations image:", error);
+    }
+
+    return {
+      needed,
+      available: partitionSize
+        ? Math.floor(partitionSize / LFS_BLOCK_SIZE)
+        : null,
+    };
+  },
+
+  /**
+   * Builds a LittleFS image from the queued files, sized to the device's
+   * filesystem partition
+   * @returns {Promise<File>} - Image named like the prebuilt animations file
+   */
+  async buildImage() {
+    const partitionSize = animationBuilder.getPartitionSize();
+    if (!partitionSize) {
+      throw new Error("The device did not report a filesystem partition");
+    }
+
+    const filesystem = (storageInfo?.filesystem || "").toLowerCase();
+    if (filesystem.includes("spiffs")) {
+      throw new Error(
+        "The device uses SPIFFS; only LittleFS images can be built"
+      );
+    }
+
+    const files = await Promise.all(
+      animationBuilder.files.map(async (file) => ({
+        name: file.name,
+        data: new Uint8Array(await file.arrayBuffer()),
+      }))
+    );
+
+    const image = littlefs.buildImage(files, partitionSize);
+    console.log(
+      `Built ${utils.formatBytes(image.length)} LittleFS image with ${
+        files.length
+      } file(s)`
+    );
+    return new File([image], "byte90animations.bin", {
+      type: "application/octet-stream",
+    });
+  },
+};
+
+//==============================================================================
+// RELEASE CATALOG MODULE
+//==============================================================================
+
+/**
+ * Loads the release manifest and downloads verified release images
+ */
+const catalog = {
+  manifest: null, // Parsed manifest with valid releases only
+  manifestUrl: null, // Absolute manifest URL; image URLs resolve against it
+  releaseImage: null, // Downloaded image selected for the next update
+
+  /**
+   * Resolves the manifest location, honouring a ?manifest= override. The
+   * manifest vouches for the images it lists, so a link must not be able to
+   * point the installer at a manifest hosted elsewhere.
+   * @returns {string} - Absolute manifest URL
+   */
+  getManifestUrl() {
+    const override = new URLSearchParams(window.location.search).get(
+      "manifest"
+    );
+    const url = new URL(override || MANIFEST_URL, window.location.href);
+
+    if (url.origin !== window.location.origin) {
+      throw new Error(`Refusing manifest from another origin: ${url.origin}`);
+    }
+    return url.href;
+  },
+
+  /**
+   * Fetches and validates the release manifest. A missing or invalid manifest
+   * only hides the release picker; local files can still be flashed.
+   * @returns {Promise<void>} - Resolves once the picker reflects the manifest
+   */
+  async load() {
+    try {
+      const manifestUrl = catalog.getManifestUrl();
+      const response = await fetch(manifestUrl, { cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const manifest = await response.json();
+      if (
+        manifest?.schema !== MANIFEST_SCHEMA_VERSION ||
+        !Array.isArray(manifest.releases)
+      ) {
+        throw new Error("Unsupported manifest format");
+      }
+
+      catalog.manifest = {
+        ...manifest,
+        releases: manifest.releases.filter(catalog.isValidRelease),
+      };
+      catalog.manifestUrl = manifestUrl;
+      console.log(
+        `Loaded ${catalog.manifest.releases.length} release(s) from ${manifestUrl}`
+      );
+    } catch (error) {
+      console.warn("Release catalog unavailable:", error);
+      catalog.manifest = null;
+      catalog.manifestUrl = null;
+    }
+
+    ui.updateReleasePicker();
+  },
+
+  /**
+   * Checks that a manifest entry has everything needed to fetch and verify it
+   * @param {Object} release - Release entry from the manifest
+   * @returns {boolean} - True if the release can be offered
+   */
+  isValidRelease(release) {
+    const images = Object.values(release?.images || {});
+    const valid =
+      utils.parseVersion(release?.version) !== null &&
+      images.length > 0 &&
+      images.every(catalog.isValidAsset) &&
+      (release.symbols === undefined || catalog.isValidAsset(release.symbols));
+
+    if (!valid) {
+      console.warn("Skipping invalid manifest entry:", release);
+    }
+    return valid;
+  },
+
+  /**
+   * Checks that a manifest file entry can be downloaded and verified
+   * @param {Object} asset - `{ url, size, sha256 }` entry
+   * @returns {boolean} - True if every field is present and well-formed
+   */
+  isValidAsset(asset) {
+    return (
+      typeof asset?.url === "string" &&
+      Number.isInteger(asset.size) &&
+      /^[0-9a-f]{64}$/i.test(asset.sha256 || "")
+    );
+  },
+
+  /**
+   * Checks whether a release supports the given MCU. Releases without an
+   * `mcu` list, or an unknown device MCU, are treated as compatible.
+   * @param {Object} release - Release entry from the manifest
+   * @param {string|null} mcu - MCU model reported by the device
+   * @returns {boolean} - True if the release can run on the MCU
+   */
+  isCompatible(release, mcu) {
+    if (!mcu || !Array.isArray(release.mcu) || release.mcu.length === 0) {
+      return true;
+    }
+
+    const chip = utils.normalizeChipName(mcu);
+    return release.mcu.some((model) => utils.normalizeChipName(model) === chip);
+  },
+
+  /**
+   * Lists releases offered on a channel, newest first. The beta channel also
+   * includes stable releases so it always offers the newest build.
+   * @param {string} channel - Release channel (stable or beta)
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @returns {Array<Object>} - Matching releases
+   */
+  getReleases(channel, updateType) {
+    if (!catalog.manifest) return [];
+
+    return catalog.manifest.releases
+      .filter(
+        (release) =>
+          channel === RELEASE_CHANNELS.BETA ||
+          (release.channel || RELEASE_CHANNELS.STABLE) === channel
+      )
+      .filter((release) => catalog.hasImages(release, updateType))
+      .filter((release) => catalog.isCompatible(release, deviceInfo?.mcu))
+      .sort((a, b) => utils.compareVersions(b.version, a.version));
+  },
+
+  /**
+   * Checks whether a release carries the images an update type needs. A full
+   * update needs both the firmware and the filesystem image.
+   * @param {Object} release - Release entry from the manifest
+   * @param {string} updateType - Update type (firmware, filesystem or full)
+   * @returns {boolean} - True if every needed image is listed
+   */
+  hasImages(release, updateType) {
+    return updateType === "full"
+      ? Boolean(release.images.firmware && release.images.filesystem)
+      : Boolean(release.images[updateType]);
+  },
+
+  /**
+   * Finds a release by version
+   * @param {string} version - Release version
+   * @returns {Object|null} - Release entry or null if not listed
+   */
+  findRelease(version) {
+    return (
+      catalog.manifest?.releases.find(
+        (release) => release.version === version
+      ) || null
+    );
+  },
+
+  /**
+   * Finds the newest firmware release for the connected device on the channel
+   * selected in the release picker
+   * @returns {Object|null} - Recommended release or null if none is compatible
+   */
+  getRecommendedRelease() {
+    const channel = elements.releaseChannel?.value || RELEASE_CHANNELS.STABLE;
+    return catalog.getReleases(channel, "firmware")[0] || null;
+  },
+
+  /**
+   * Compares the device firmware version with the recommended release
+   * @param {Object|null} info - Device information from GET_INFO
+   * @returns {Object|null} - `{ status, release }` where status is current,
+   *   available or newer; null if there is nothing to compare against
+   */
+  checkForUpdate(info) {
+    const release = catalog.getRecommendedRelease();
+    if (!info || !release) return null;
+
+    if (!utils.parseVersion(info.firmware_version)) {
+      console.warn(
+        `Cannot compare unrecognised firmware version: ${info.firmware_version}`
+      );
+      return null;
+    }
+
+    const difference = utils.compareVersions(
+      info.firmware_version,
+      release.version
+    );
+    const status =
+      difference < 0 ? "available" : difference > 0 ? "newer" : "current";
+    return { status, release };
+  },
+
+  /**
+   * Downloads and installs the recommended firmware release in one step
+   * @returns {Promise<void>} - Resolves when the update finishes or fails
+   */
+  async installRecommended() {
+    const release = catalog.getRecommendedRelease();
+    if (!release || updateInProgress) return;
+
+    if (elements.updateType) elements.updateType.value = "firmware";
+    ui.updateReleasePicker();
+    if (elements.releaseVersion) {
+      elements.releaseVersion.value = release.version;
+      ui.updateReleaseNotes();
+    }
+
+    await catalog.selectRelease();
+    if (catalog.getReleaseImage("firmware")?.release === release) {
+      await updater.startUpdate();
+    }
+  },
+
+  /**
+   * Returns the downloaded release image if it matches the update type
+   * @param {string} updateType - Update type (firmware, filesystem or full)
+   * @returns {Object|null} - `{ release, updateType, file, files }` where
+   *   `files` holds each downloaded image by type, or null
+   */
+  getReleaseImage(updateType) {
+    const selected = catalog.releaseImage;
+    return selected && selected.updateType === updateType ? selected : null;
+  },
+
+  /**
+   * Downloads a release image and verifies its size and SHA-256 against the
+   * manifest before it can be flashed
+   * @param {Object} release - Release entry from the manifest
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @returns {Promise<File>} - Verified image
+   */
+  async downloadImage(release, updateType) {
+    const image = release.images[updateType];
+    if (!image) {
+      throw new Error(`Release ${release.version} has no ${updateType} image`);
+    }
+
+    return catalog.downloadAsset(image, `${updateType}-${release.version}.bin`);
+  },
+
+  /**
+   * Downloads a manifest file entry and verifies its size and SHA-256
+   * @param {Object} asset - `{ url, size, sha256 }` entry
+   * @param {string} fallbackName - File name used when the URL has none
+   * @returns {Promise<File>} - Verified file
+   */
+  async downloadAsset(asset, fallbackName) {
+    const url = new URL(asset.url, catalog.manifestUrl);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Download failed (HTTP ${response.status})`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength !== asset.size) {
+      throw new Error(
+        `Size mismatch: expected ${asset.size} bytes, received ${buffer.byteLength}`
+      );
+    }
+
+    const hash = await utils.computeHash(buffer, HASH_ALGORITHMS.SHA256);
+    if (hash !== asset.sha256.toLowerCase()) {
+      throw new Error("SHA-256 does not match the manifest");
+    }
+
+    const fileName =
+      decodeURIComponent(url.pathname.split("/").pop()) || fallbackName;
+    return new File([buffer], fileName, { type: "application/octet-stream" });
+  },
+
+  /**
+   * Downloads the release chosen in the picker and selects it for the next
+   * update in place of a local file
+   * @returns {Promise<void>} - Resolves when the download succeeds or fails
+   */
+  async selectRelease() {
+    const updateType = elements.updateType?.value || "firmware";
+    const release = catalog.findRelease(elements.releaseVersion?.value);
+    if (!release) return;
+
+    catalog.releaseImage = null;
+    if (elements.useReleaseBtn) elements.useReleaseBtn.disabled = true;
+    utils.showStatus(
+      elements.updateStatus,
+      `Downloading release ${release.version}...`,
+      "info"
+    );
+
+    try {
+      const types =
+        updateType === "full" ? ["firmware", "filesystem"] : [updateType];
+      const files = {};
+      for (const type of types) {
+        files[type] = await catalog.downloadImage(release, type);
+      }
+
+      catalog.releaseImage = {
+        release,
+        updateType,
+        file: files[types[0]],
+        files,
+      };
+      if (files.filesystem) animationBuilder.clear();
+      if (elements.firmwareFile) elements.firmwareFile.value = "";
+      if (elements.animationsFile) elements.animationsFile.value = "";
+
+      const size = Object.values(files).reduce(
+        (total, file) => total + file.size,
+        0
+      );
+      utils.showStatus(
+        elements.updateStatus,
+        `Release ${
+          release.version
+        } downloaded and verified (${utils.formatBytes(
+          size
+        )}). Ready to install.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Release download failed:", error);
+      utils.showStatus(
+        elements.updateStatus,
+        `Could not download release ${release.version}: ${error.message}`,
+        "error"
+      );
+    } finally {
+      if (elements.useReleaseBtn) elements.useReleaseBtn.disabled = false;
+      ui.updateUploadButton();
+    }
+
+    await updater.previewImage();
+  },
+};
+
+//==============================================================================
+// FIRMWARE UPDATE MODULE
+//==============================================================================
+
+/**
+ * Handles firmware file validation, upload process, and progress tracking
+ */
+const updater = {
+  resumableSession: null, // Interrupted session offered after connecting
+  history: [], // Runs of the last update job, for diagnostics
+  job: null, // Job of the update running on the connected device
+
+  /**
+   * Initiates the firmware update process with comprehensive validation
+   * @returns {Promise<void>} - Resolves when update completes or rejects on error
+   */
+  async startUpdate() {
+    if (fileManager.busy || backup.busy) {
+      utils.showStatus(
+        elements.updateStatus,
+        "Wait for the current file operation or backup to finish",
+        "warning"
+      );
+      return;
+    }
+
+    const updateType = elements.updateType?.value || "firmware";
+    if (updateType === "full") {
+      await updater.startFullUpdate();
+      return;
+    }
+
+    const image = await updater.resolveImage(updateType, false);
+    if (!image) return;
+
+    const checked = await updater.checkImage(image, updateType);
+    if (!checked) return;
+
+    if (
+      checked.header &&
+      !window.confirm(
+        `${firmwareImage.describe(checked.header)}\n\nInstall this firmware?`
+      )
+    ) {
+      return;
+    }
+
+    await updater.runUpdate(image.file, updateType);
+  },
+
+  /**
+   * Finds the image to flash for one update type: a downloaded release, a
+   * selected file, or an image built from the animations builder
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @param {boolean} full - True when resolving one part of a full update
+   * @returns {Promise<Object|null>} - `{ file, fromRelease }`, or null after
+   *   reporting why no image is available
+   */
+  async resolveImage(updateType, full) {
+    const releaseImage = catalog.getReleaseImage(full ? "full" : updateType);
+    if (releaseImage) {
+      return { file: releaseImage.files[updateType], fromRelease: true };
+    }
+
+    const fileInput =
+      full && updateType === "filesystem"
+        ? elements.animationsFile
+        : elements.firmwareFile;
+    let file = fileInput?.files[0];
+
+    if (
+      !file &&
+      updateType === "filesystem" &&
+      animationBuilder.files.length > 0
+    ) {
+      try {
+        utils.showStatus(
+          elements.updateStatus,
+          "Building animations image...",
+          "info"
+        );
+        file = await animationBuilder.buildImage();
+      } catch (error) {
+        utils.showStatus(
+          elements.updateStatus,
+          `Could not build animations image: ${error.message}`,
+          "error"
+        );
+        return null;
+      }
+    }
+
+    if (!file) {
+      utils.showStatus(
+        elements.updateStatus,
+        updateType === "filesystem"
+          ? "Please select an animations file"
+          : "Please select a firmware file",
+        "error"
+      );
+      return null;
+    }
+
+    return { file, fromRelease: false };
+  },
+
+  /**
+   * Checks an image before flashing: file name, partition size and, for
+   * firmware, the image header and target chip
+   * @param {Object} image - Image from resolveImage
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @returns {Promise<Object|null>} - `{ header }` (null header for
+   *   animations), or null after reporting the problem
+   */
+  async checkImage(image, updateType) {
+    const { file } = image;
+
+    // Release images were already verified against the manifest
+    const nameError = image.fromRelease
+      ? null
+      : updater.checkImageName(file, updateType);
+    if (nameError) {
+      utils.showStatus(elements.updateStatus, nameError, "error");
+      return null;
+    }
+
+    const sizeError = inspector.checkImageFits(file.size, updateType);
+    if (sizeError) {
+      utils.showStatus(elements.updateStatus, sizeError, "error");
+      return null;
+    }
+
+    if (updateType !== "firmware") return { header: null };
+
+    let header;
+    try {
+      header = await firmwareImage.readHeader(file);
+    } catch (error) {
+      utils.showStatus(
+        elements.updateStatus,
+        `Invalid firmware image: ${error.message}`,
+        "error"
+      );
+      return null;
+    }
+
+    const chipError = firmwareImage.checkChip(header, deviceInfo?.mcu);
+    if (chipError) {
+      utils.showStatus(elements.updateStatus, chipError, "error");
+      return null;
+    }
+
+    ui.updateImageInfo(header);
+    return { header };
+  },
+
+  /**
+   * Checks that a selected file looks like an image of the given type
+   * @param {File} file - Selected image file
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @returns {string|null} - Problem to report, or null if the name is fine
+   */
+  checkImageName(file, updateType) {
+    if (!file.name.endsWith(".bin")) {
+      return "Please select a .bin file";
+    }
+
+    const expectedFilename =
+      updateType === "firmware" ? "byte90.bin" : "byte90animations.bin";
+    if (
+      !file.name.includes(
+        updateType === "firmware" ? "byte90" : "byte90animations"
+      )
+    ) {
+      return `Please select the correct file (${expectedFilename})`;
+    }
+
+    return null;
+  },
+
+  /**
+   * Puts the images of a multi-image update in flashing order. Animations go
+   * first so the new firmware boots with its assets in place, unless the
+   * selected release sets `firmware_first` (e.g. when only the new firmware
+   * can read the new animations format).
+   * @param {Array<Object>} parts - Images, each with an `updateType`
+   * @returns {Array<Object>} - The same images in flashing order
+   */
+  orderParts(parts) {
+    const first = catalog.getReleaseImage("full")?.release.firmware_first
+      ? "firmware"
+      : "filesystem";
+    return [
+      ...parts.filter((part) => part.updateType === first),
+      ...parts.filter((part) => part.updateType !== first),
+    ];
+  },
+
+  /**
+   * Flashes firmware and animations as one job, reconnecting through the
+   * restart between them, in the order from orderParts. Success is reported
+   * only once both parts are verified.
+   * @returns {Promise<void>} - Resolves when the job completes or fails
+   */
+  async startFullUpdate() {
+    let parts = [];
+    for (const updateType of ["filesystem", "firmware"]) {
+      const image = await updater.resolveImage(updateType, true);
+      if (!image) return;
+
+      const checked = await updater.checkImage(image, updateType);
+      if (!checked) return;
+
+      parts.push({ updateType, file: image.file, header: checked.header });
+    }
+
+    parts = updater.orderParts(parts);
+
+    const firmware = parts.find((part) => part.updateType === "firmware");
+    if (
+      !window.confirm(
+        `${firmwareImage.describe(
+          firmware.header
+        )}\n\nInstall this firmware and the animations image? The device restarts between the two steps.`
+      )
+    ) {
+      return;
+    }
+
+    const startTime = performance.now();
+    const reports = [];
+    updater.history = [];
+
+    for (const [index, part] of parts.entries()) {
+      if (!isConnected) break;
+
+      console.log(
+        `Full update step ${index + 1} of ${parts.length}: ${part.updateType}`
+      );
+      const report = await updater.runUpdate(part.file, part.updateType, null, {
+        showReport: false,
+        keepHistory: true,
+        stayInUpdateMode: index < parts.length - 1,
+      });
+      if (!report) break;
+
+      reports.push(report);
+      if (!report.passed) break;
+    }
+
+    ui.updateUpdateReport(
+      updater.combineReports(parts, reports, firmware.header, startTime)
+    );
+  },
+
+  /**
+   * Merges the per-step reports of a full update into one report
+   * @param {Array<Object>} parts - Steps in the order they were run
+   * @param {Array<Object>} reports - Reports of the steps that completed
+   * @param {Object} header - Parsed header of the firmware image
+   * @param {number} startTime - Job start timestamp (performance.now)
+   * @returns {Object} - Report in the shape verifyBoot produces
+   */
+  combineReports(parts, reports, header, startTime) {
+    const sum = (key) =>
+      reports.reduce((total, report) => total + (report.timings[key] || 0), 0);
+    const failed = reports.find((report) => !report.passed);
+    const missing = parts[reports.length];
+    const last = reports[reports.length - 1];
+
+    let reason = "Firmware and animations were updated and verified";
+    if (failed) {
+      reason = failed.reason;
+    } else if (missing) {
+      reason = `The ${
+        missing.updateType === "filesystem" ? "animations" : "firmware"
+      } step did not complete`;
+    }
+
+    return {
+      updateType: "full",
+      expectedVersion: header.appDesc?.version || null,
+      previousVersion: reports[0]?.previousVersion || null,
+      runningVersion: last?.runningVersion || null,
+      rollback: reports.some((report) => report.rollback),
+      bytesSent: reports.reduce((total, report) => total + report.bytesSent, 0),
+      timings: {
+        transfer: sum("transfer"),
+        verify: sum("verify"),
+        finish: sum("finish"),
+        restart: sum("restart"),
+        total: (performance.now() - startTime) / 1000,
+      },
+      passed: !failed && !missing,
+      reason,
+    };
+  },
+
+  /**
+   * Parses the selected firmware image and shows its metadata. Problems are
+   * reported right away; startUpdate checks the image again before flashing.
+   * @returns {Promise<void>} - Resolves once the preview is updated
+   */
+  async previewImage() {
+    const updateType = elements.updateType?.value || "firmware";
+    const file =
+      catalog.getReleaseImage(updateType)?.files.firmware ||
+      elements.firmwareFile?.files[0];
+
+    if (!file || updateType === "filesystem") {
+      ui.updateImageInfo(null);
+      return;
+    }
+
+    try {
+      const header = await firmwareImage.readHeader(file);
+      ui.updateImageInfo(header);
+
+      const chipError = firmwareImage.checkChip(header, deviceInfo?.mcu);
+      if (chipError) {
+        utils.showStatus(elements.updateStatus, chipError, "error");
+      }
+    } catch (error) {
+      ui.updateImageInfo(null);
+      utils.showStatus(
+        elements.updateStatus,
+        `Invalid firmware image: ${error.message}`,
+        "error"
+      );
+    }
+  },
+
+  /**
+   * Creates the state of one image upload: the connection it runs over, the
+   * run recorded for diagnostics, live telemetry and stage positions. The
+   * view shows the job's progress, so the same transfer code drives the main
+   * progress display and each batch card.
+   * @param {Object} connection - Connection from serial.createConnection
+   * @param {Object} view - `progress(percent, message)`, and optionally
+   *   `telemetry(stats)`, `stages(stages)` and `integrity(message, type)`
+   * @returns {Object} - Job passed to the transfer methods
+   */
+  createJob(connection, view) {
+    return {
+      connection,
+      view,
+      position: 0, // Progress bar position last shown
+      run: null, // Run whose transfer is being recorded
+      runStart: 0, // Start of the run (performance.now)
+      telemetry: null, // Live statistics of the transfer in progress
+      stages: null, // Status and position of each UPDATE_STAGES entry
+    };
+  },
+
+  /**
+   * Shows a job's progress
+   * @param {Object} job - Job from createJob
+   * @param {number} percent - Progress bar position (0-100)
+   * @param {string} message - Progress message
+   */
+  showProgress(job, percent, message) {
+    job.position = percent;
+    job.view.progress(percent, message);
+  },
+
+  /**
+   * Runs the device-side update sequence for an already validated image. The
+   * transfer session is checkpointed so an interrupted upload can be resumed.
+   * @param {File} file - Image file to flash
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @param {Object|null} resume - Saved transfer session to continue, if any
+   * @param {Object} options - `showReport: false` leaves the report to the
+   *   caller; `stayInUpdateMode: true` brings the device back to Update Mode
+   *   for a following step
+   * @returns {Promise<Object|null>} - Boot verification report, or null if
+   *   the update failed
+   */
+  async runUpdate(file, updateType, resume = null, options = {}) {
+    const {
+      showReport = true,
+      keepHistory = false,
+      stayInUpdateMode = false,
+    } = options;
+    const startTime = performance.now();
+    let session = null;
+    let report = null;
+
+    const job = updater.createJob(serial.connection, {
+      progress: utils.updateProgress,
+      telemetry: ui.updateTelemetry,
+      stages: ui.updateProgressStages,
+      integrity: (message, type) =>
+        utils.showStatus(elements.integrityStatus, message, type),
+    });
+    const run = {
+      started: new Date().toISOString(),
+      updateType,
+      file: { name: file.name, size: file.size },
+      resumed: Boolean(resume),
+      startOffset: 0,
+      transport: null,
+      chunks: [],
+      retries: [],
+      result: null,
+      error: null,
+      report: null,
+    };
+    if (!keepHistory) updater.history = [];
+    updater.history.push(run);
+    job.run = run;
+    job.runStart = startTime;
+    updater.job = job;
+
+    try {
+      updateInProgress = true;
+      ui.updateUpdateState(true);
+      ui.hideResumeOffer();
+      ui.updateUpdateReport(null);
+      ui.updateTelemetry(null);
+      updater.resetStages(job);
+      utils.hideStatus(elements.updateStatus);
+      utils.hideStatus(elements.integrityStatus);
+      updater.showProgress(job, 0, "Reading firmware file...");
+
+      const arrayBuffer = await file.arrayBuffer();
+      const hashAlgorithm =
+        resume?.hashAlgorithm || updater.selectHashAlgorithm(job.connection);
+      const imageHash = await utils.computeHash(arrayBuffer, hashAlgorithm);
+      run.file.hashAlgorithm = hashAlgorithm;
+      run.file.hash = imageHash;
+
+      session = updater.createSession(
+        sessionStore.getDeviceKey(deviceInfo),
+        file,
+        updateType,
+        hashAlgorithm,
+        imageHash
+      );
+
+      if (resume) {
+        if (imageHash !== resume.fileHash) {
+          throw new Error("Saved image does not match the interrupted update");
+        }
+        updater.showProgress(job, 3, "Checking interrupted update...");
+        session.offset = await updater.getResumeOffset(resume);
+      } else {
+        await updater.prepareDevice(job, file.size, updateType);
+      }
+
+      await updater.saveSession(session);
+
+      updater.showProgress(
+        job,
+        10,
+        session.offset > 0
+          ? `Resuming upload at ${Math.round(
+              (session.offset / file.size) * 100
+            )}%...`
+          : "Starting upload..."
+      );
+
+      report = updater.createReport(arrayBuffer, updateType);
+      report.bytesSent = file.size - session.offset;
+      run.startOffset = session.offset;
+
+      let phaseStart = performance.now();
+      await updater.transferImage(job, arrayBuffer, session.offset, (offset) =>
+        updater.saveSession({ ...session, offset })
+      );
+      report.timings.transfer = (performance.now() - phaseStart) / 1000;
+
+      phaseStart = performance.now();
+      await updater.verifyImage(job, hashAlgorithm, imageHash);
+      report.timings.verify = (performance.now() - phaseStart) / 1000;
+
+      phaseStart = performance.now();
+      await updater.finishUpdate(job);
+      report.timings.finish = (performance.now() - phaseStart) / 1000;
+      updater.endStages(job, true);
+
+      await updater.clearSession(session.deviceKey);
+      run.result = "success";
+      updater.job = null;
+
+      updater.showProgress(job, 100, "Update completed successfully!");
+      utils.showStatus(
+        elements.updateStatus,
+        "Update completed! Device will restart automatically.",
+        "success"
+      );
+
+      catalog.releaseImage = null;
+      animationBuilder.clear();
+      ui.updateImageInfo(null);
+      if (elements.firmwareFile) {
+        elements.firmwareFile.value = "";
+        if (elements.uploadBtn) {
+          elements.uploadBtn.disabled = true;
+        }
+      }
+
+      updateInProgress = false;
+      ui.updateUpdateState(false);
+    } catch (error) {
+      console.error("Update failed:", error);
+      run.result = "failed";
+      run.error = error.message;
+      updater.job = null;
+      updater.endStages(job, false);
+      utils.showStatus(
+        elements.updateStatus,
+        `Update failed: ${error.message}`,
+        "error"
+      );
+      updateInProgress = false;
+      ui.updateUpdateState(false);
+
+      // Only forget the session once the device has dropped its side too; if
+      // the link is gone the upload can still be resumed after reconnecting.
+      try {
+        await serial.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
+        if (session) await updater.clearSession(session.deviceKey);
+      } catch (abortError) {
+        console.warn("Failed to abort update after error:", abortError);
+      }
+      return null;
+    }
+
+    try {
+      run.report = await updater.verifyBoot(
+        report,
+        startTime,
+        showReport,
+        stayInUpdateMode
+      );
+      return run.report;
+    } catch (verifyError) {
+      console.warn("Boot verification failed:", verifyError);
+      return null;
+    }
+  },
+
+  /**
+   * Clears any stale update on the device and starts a new one
+   * @param {Object} job - Job from createJob
+   * @param {number} imageSize - Image size in bytes
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @returns {Promise<void>} - Resolves once the device is receiving
+   */
+  async prepareDevice(job, imageSize, updateType) {
+    const { connection } = job;
+    updater.showProgress(job, 1, "Checking device status...");
+
+    try {
+      const statusResponse = await connection.sendCommand(
+        SERIAL_COMMANDS.GET_STATUS
+      );
+
+      if (statusResponse && statusResponse.update_active) {
+        await connection.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    } catch (error) {
+      console.warn("Failed to get status:", error);
+    }
+
+    updater.showProgress(job, 2, "Resetting device state...");
+
+    try {
+      await connection.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    } catch (error) {
+      console.warn("Abort command failed:", error);
+    }
+
+    updater.showProgress(job, 3, "Starting new update...");
+    updater.beginStage(job, "erase");
+
+    console.log(`Starting update: ${imageSize} bytes, type: ${updateType}`);
+
+    const startResponse = await connection.sendCommandWithRetry(
+      SERIAL_COMMANDS.START_UPDATE,
+      `${imageSize},${updateType}`,
+      2
+    );
+
+    if (!startResponse || !startResponse.success) {
+      throw new Error(startResponse?.message || "START_UPDATE command failed");
+    }
+
+    if (startResponse.state !== "RECEIVING") {
+      throw new Error(`Expected RECEIVING state, got: ${startResponse.state}`);
+    }
+  },
+
+  /**
+   * Checks whether a device status still matches a saved transfer session
+   * @param {Object} statusResponse - GET_STATUS response
+   * @param {Object} session - Saved transfer session
+   * @returns {boolean} - True if the device can continue the session
+   */
+  isResumable(statusResponse, session) {
+    return Boolean(
+      statusResponse &&
+        statusResponse.success &&
+        statusResponse.update_active &&
+        Number.isInteger(statusResponse.offset) &&
+        statusResponse.offset <= session.fileSize &&
+        (!statusResponse.update_type ||
+          statusResponse.update_type === session.updateType)
+    );
+  },
+
+  /**
+   * Asks the device for the committed offset of an interrupted update
+   * @param {Object} session - Saved transfer session
+   * @returns {Promise<number>} - Offset to continue the transfer from
+   */
+  async getResumeOffset(session) {
+    const statusResponse = await serial.sendCommand(SERIAL_COMMANDS.GET_STATUS);
+
+    if (!updater.isResumable(statusResponse, session)) {
+      await updater.clearSession(session.deviceKey);
+      throw new Error(
+        "The device no longer has the interrupted update. Please start a new update."
+      );
+    }
+
+    return statusResponse.offset;
+  },
+
+  /**
+   * Looks for an interrupted transfer for the connected device and offers to
+   * resume it when the device still holds the partial image
+   * @returns {Promise<void>} - Resolves once the check is complete
+   */
+  async checkResumableSession() {
+    updater.resumableSession = null;
+
+    let session = null;
+    try {
+      session = await sessionStore.load(sessionStore.getDeviceKey(deviceInfo));
+    } catch (error) {
+      console.warn("Failed to load transfer session:", error);
+      return;
+    }
+
+    if (!session) return;
+
+    try {
+      const statusResponse = await serial.sendCommand(
+        SERIAL_COMMANDS.GET_STATUS
+      );
+
+      if (!updater.isResumable(statusResponse, session)) {
+        await updater.clearSession(session.deviceKey);
+        return;
+      }
+
+      updater.resumableSession = session;
+      ui.showResumeOffer(session, statusResponse.offset);
+    } catch (error) {
+      console.warn("Failed to check interrupted update:", error);
+    }
+  },
+
+  /**
+   * Continues the interrupted transfer offered after connecting
+   * @returns {Promise<void>} - Resolves when update completes or fails
+   */
+  async resumeUpdate() {
+    const session = updater.resumableSession;
+    if (!session || updateInProgress) return;
+
+    updater.resumableSession = null;
+    await updater.runUpdate(session.file, session.updateType, session);
+  },
+
+  /**
+   * Discards the interrupted transfer on both the device and the browser
+   * @returns {Promise<void>} - Resolves once the session is cleared
+   */
+  async discardResume() {
+    const session = updater.resumableSession;
+    updater.resumableSession = null;
+    ui.hideResumeOffer();
+
+    if (!session) return;
+
+    try {
+      await serial.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
+    } catch (error) {
+      console.warn("Failed to abort interrupted update:", error);
+    }
+    await updater.clearSession(session.deviceKey);
+  },
+
+  /**
+   * Starts a transfer session for an image, checkpointed as it uploads
+   * @param {string} deviceKey - Device identity key
+   * @param {File} file - Image file being flashed
+   * @param {string} updateType - Update type (firmware or filesystem)
+   * @param {string} hashAlgorithm - Hash algorithm used for fileHash
+   * @param {string} fileHash - Hexadecimal hash of the file
+   * @returns {Object} - Session starting at offset 0
+   */
+  createSession(deviceKey, file, updateType, hashAlgorithm, fileHash) {
+    return {
+      deviceKey,
+      file,
+      fileName: file.name,
+      fileSize: file.size,
+      lastModified: file.lastModified,
+      fileHash,
+      hashAlgorithm,
+      updateType,
+      offset: 0,
+    };
+  },
+
+  /**
+   * Persists a transfer session checkpoint; storage failures never stop an update
+   * @param {Object} session - Transfer session to save
+   * @returns {Promise<void>} - Resolves once the checkpoint is written
+   */
+  async saveSession(session) {
+    try {
+      await sessionStore.save(session);
+    } catch (error) {
+      console.warn("Failed to save transfer session:", error);
+    }
+  },
+
+  /**
+   * Removes the saved transfer session for a device
+   * @param {string} deviceKey - Device identity key
+   * @returns {Promise<void>} - Resolves once the session is removed
+   */
+  async clearSession(deviceKey) {
+    try {
+      await sessionStore.clear(deviceKey);
+    } catch (error) {
+      console.warn("Failed to clear transfer session:", error);
+    }
+  },
+
+  /**
+   * Streams an image to the device in CHUNK_SIZE pieces. Firmware that supports
+   * chunk frames reports the committed offset in every ACK, so after a timeout or
+   * rejection the transfer resumes from what the device actually wrote instead of
+   * guessing whether the last chunk landed. Firmware that can buffer several
+   * frames gets a pipelined transfer; everything else uses stop-and-wait.
+   * @param {Object} job - Job from createJob
+   * @param {ArrayBuffer} arrayBuffer - Image data
+   * @param {number} startOffset - Offset the device has already committed
+   * @param {Function|null} onCheckpoint - Called with the committed offset at
+   *   every progress update
+   * @returns {Promise<void>} - Resolves once every byte has been acknowledged
+   */
+  async transferImage(job, arrayBuffer, startOffset = 0, onCheckpoint = null) {
+    const { connection } = job;
+    const totalBytes = arrayBuffer.byteLength;
+    const totalChunks = Math.ceil(totalBytes / CHUNK_SIZE);
+    const framed = updater.supportsChunkFrames(connection);
+    const pipelined = updater.supportsPipelining(connection);
+
+    console.log(
+      `File read: ${totalBytes} bytes in ${totalChunks} chunks of ${CHUNK_SIZE} bytes each (${
+        connection.binaryFraming
+          ? "binary frames"
+          : framed
+          ? `frame protocol v${CHUNK_PROTOCOL_VERSION}`
+          : "legacy chunks"
+      }, ${pipelined ? "pipelined" : "stop-and-wait"})`
+    );
+
+    const startTime = performance.now();
+
+    if (job.run) {
+      job.run.transport = {
+        framing: connection.binaryFraming ? "binary" : framed ? "v2" : "legacy",
+        pipelined,
+        chunkSize: CHUNK_SIZE,
+        window: pipelined ? connection.info.chunk_window : 1,
+      };
+    }
+
+    updater.beginStage(job, "write");
+    updater.startTelemetry(job, totalBytes, startOffset);
+    try {
+      if (pipelined) {
+        await updater.sendChunksPipelined(
+          job,
+          arrayBuffer,
+          startOffset,
+          onCheckpoint
+        );
+      } else {
+        await updater.sendChunksStopAndWait(
+          job,
+          arrayBuffer,
+          startOffset,
+          onCheckpoint
+        );
+      }
+    } finally {
+      updater.stopTelemetry(job);
+    }
+
+    const totalTime = (performance.now() - startTime) / 1000;
+    const avgSpeed = (totalBytes - startOffset) / totalTime;
+    console.log(
+      `Transfer completed: ${utils.formatBytes(
+        totalBytes - startOffset
+      )} in ${totalTime.toFixed(2)}s (${utils.formatBytes(avgSpeed)}/s)`
+    );
+  },
+
+  /**
+   * Sends one chunk at a time and waits for its ACK before sending the next
+   * @param {Object} job - Job from createJob
+   * @param {ArrayBuffer} arrayBuffer - Image data
+   * @param {number} startOffset - Offset the device has already committed
+   * @param {Function|null} onCheckpoint - Called with the committed offset
+   * @returns {Promise<void>} - Resolves once every byte has been acknowledged
+   */
+  async sendChunksStopAndWait(job, arrayBuffer, startOffset, onCheckpoint) {
+    const { connection } = job;
+    const totalBytes = arrayBuffer.byteLength;
+    const framed = updater.supportsChunkFrames(connection);
+    let offset = startOffset;
+    let sequence = 0;
+    let chunksSent = 0;
+    let consecutiveErrors = 0;
+
+    while (offset < totalBytes) {
+      const end = Math.min(offset + CHUNK_SIZE, totalBytes);
+      const chunk = new Uint8Array(arrayBuffer, offset, end - offset);
+      const chunkIndex = Math.floor(offset / CHUNK_SIZE);
+
+      if (
+        onCheckpoint &&
+        (chunksSent % PROGRESS_INTERVAL === 0 || end === totalBytes)
+      ) {
+        onCheckpoint(offset);
+      }
+
+      const sentAt = performance.now();
+      try {
+        const frameSequence = sequence++;
+        chunksSent++;
+
+        const chunkResponse = framed
+          ? await connection.sendChunk(frameSequence, offset, chunk)
+          : await connection.sendCommand(
+              SERIAL_COMMANDS.SEND_CHUNK,
+              utils.arrayBufferToBase64(chunk)
+            );
+
+        if (framed && Number.isInteger(chunkResponse?.offset)) {
+          offset = updater.validateCommittedOffset(
+            chunkResponse.offset,
+            totalBytes
+          );
+        }
+
+        if (!chunkResponse || !chunkResponse.success) {
+          throw new Error(
+            chunkResponse?.message ||
+              `Chunk ${chunkIndex + 1} rejected by device`
+          );
+        }
+
+        consecutiveErrors = 0;
+        updater.recordChunk(job, end - chunk.length, chunk.length, sentAt);
+        if (!framed || !Number.isInteger(chunkResponse.offset)) {
+          offset = end;
+        }
+        updater.trackTransfer(job, offset);
+
+        if (offset < totalBytes) {
+          await new Promise((resolve) => setTimeout(resolve, 1));
+        }
+      } catch (chunkError) {
+        consecutiveErrors++;
+        updater.recordRetry(job, offset, chunkError.message, consecutiveErrors);
+        console.error(
+          `Chunk ${
+            chunkIndex + 1
+          } failed (${consecutiveErrors} consecutive errors):`,
+          chunkError
+        );
+
+        if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+          throw new Error(
+            `Too many consecutive errors (${consecutiveErrors}). Last error: ${chunkError.message}`
+          );
+        }
+
+        if (framed) {
+          offset = await updater.queryCommittedOffset(
+            connection,
+            offset,
+            totalBytes
+          );
+        }
+      }
+    }
+  },
+
+  /**
+   * Keeps a window of chunk frames in flight and matches ACKs to them by
+   * sequence number. The window grows by one frame per window of clean ACKs and
+   * halves on every timeout or rejection, after which sending restarts from the
+   * offset the device has committed (go-back-N).
+   * @param {Object} job - Job from createJob
+   * @param {ArrayBuffer} arrayBuffer - Image data
+   * @param {number} startOffset - Offset the device has already committed
+   * @param {Function|null} onCheckpoint - Called with the committed offset
+   * @returns {Promise<void>} - Resolves once every byte has been acknowledged
+   */
+  async sendChunksPipelined(job, arrayBuffer, startOffset, onCheckpoint) {
+    const { connection } = job;
+    const totalBytes = arrayBuffer.byteLength;
+    const maxWindow = Math.min(
+      connection.info.chunk_window,
+      PIPELINE_MAX_WINDOW
+    );
+    const inFlight = new Map(); // Frames awaiting an ACK, keyed by sequence
+    const acks = [];
+    let wakeAckWaiter = null;
+
+    let window = Math.min(PIPELINE_INITIAL_WINDOW, maxWindow);
+    let committed = startOffset;
+    let nextOffset = startOffset;
+    let sequence = 0;
+    let resyncSequence = 0; // Frames below this were sent before the last resync
+    let consecutiveErrors = 0;
+    let chunksAcked = 0;
+
+    const nextAck = () =>
+      new Promise((resolve) => {
+        if (acks.length > 0) {
+          resolve(acks.shift());
+          return;
+        }
+        const timeout = setTimeout(() => {
+          wakeAckWaiter = null;
+          resolve(null);
+        }, CHUNK_TIMEOUT);
+        wakeAckWaiter = () => {
+          clearTimeout(timeout);
+          wakeAckWaiter = null;
+          resolve(acks.shift());
+        };
+      });
+
+    const recordFailure = (message) => {
+      consecutiveErrors++;
+      updater.recordRetry(job, committed, message, consecutiveErrors);
+      console.error(
+        `Pipelined chunk failed (${consecutiveErrors} consecutive errors, window ${Math.floor(
+          window
+        )}): ${message}`
+      );
+      if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+        throw new Error(
+          `Too many consecutive errors (${consecutiveErrors}). Last error: ${message}`
+        );
+      }
+    };
+
+    const resync = (offset) => {
+      inFlight.clear();
+      committed = offset;
+      nextOffset = offset;
+      resyncSequence = sequence;
+      window = Math.max(1, Math.floor(window / 2));
+    };
+
+    connection.chunkAckHandler = (response) => {
+      acks.push(response);
+      if (wakeAckWaiter) wakeAckWaiter();
+    };
+
+    try {
+      while (committed < totalBytes) {
+        while (inFlight.size < Math.floor(window) && nextOffset < totalBytes) {
+          const end = Math.min(nextOffset + CHUNK_SIZE, totalBytes);
+          const chunk = new Uint8Array(
+            arrayBuffer,
+            nextOffset,
+            end - nextOffset
+          );
+
+          const sentAt = performance.now();
+          await connection.writeChunk(sequence, nextOffset, chunk);
+          inFlight.set(sequence, { offset: nextOffset, sentAt });
+          sequence++;
+          nextOffset = end;
+        }
+
+        const ack = await nextAck();
+
+        if (!ack) {
+          recordFailure(`No ACK within ${CHUNK_TIMEOUT}ms`);
+          resync(
+            await updater.queryCommittedOffset(
+              connection,
+              committed,
+              totalBytes
+            )
+          );
+          continue;
+        }
+
+        if (Number.isInteger(ack.offset)) {
+          committed = Math.max(
+            committed,
+            updater.validateCommittedOffset(ack.offset, totalBytes)
+          );
+        }
+
+        if (ack.seq < resyncSequence) continue;
+
+        if (!ack.success) {
+          recordFailure(ack.message || `Frame ${ack.seq} rejected by device`);
+          resync(committed);
+          continue;
+        }
+
+        const frame = inFlight.get(ack.seq);
+        if (frame) {
+          updater.recordChunk(
+            job,
+            frame.offset,
+            Math.min(CHUNK_SIZE, totalBytes - frame.offset),
+            frame.sentAt
+          );
+        }
+        inFlight.delete(ack.seq);
+        consecutiveErrors = 0;
+        chunksAcked++;
+        window = Math.min(maxWindow, window + 1 / Math.floor(window));
+        updater.trackTransfer(job, committed, Math.floor(window));
+
+        if (onCheckpoint && chunksAcked % PROGRESS_INTERVAL === 0) {
+          onCheckpoint(committed);
+        }
+      }
+    } finally {
+      connection.chunkAckHandler = null;
+    }
+  },
+
+  /**
+   * Records an acknowledged chunk in the job's run history
+   * @param {Object} job - Job from createJob
+   * @param {number} offset - Chunk offset within the image
+   * @param {number} size - Chunk length in bytes
+   * @param {number} sentAt - When the chunk was written (performance.now)
+   */
+  recordChunk(job, offset, size, sentAt) {
+    const { run } = job;
+    if (!run) return;
+
+    run.chunks.push({
+      at: Math.round(sentAt - job.runStart),
+      offset,
+      size,
+      ms: Math.round(performance.now() - sentAt),
+    });
+  },
+
+  /**
+   * Records a failed or rejected chunk in the job's run history
+   * @param {Object} job - Job from createJob
+   * @param {number} offset - Offset the transfer retries from
+   * @param {string} error - Failure message
+   * @param {number} consecutive - Consecutive failures so far
+   */
+  recordRetry(job, offset, error, consecutive) {
+    if (job.telemetry) {
+      job.telemetry.retries++;
+      job.telemetry.consecutiveErrors = consecutive;
+    }
+
+    const { run } = job;
+    if (!run) return;
+
+    run.retries.push({
+      at: Math.round(performance.now() - job.runStart),
+      offset,
+      error,
+      consecutive,
+    });
+  },
+
+  /**
+   * Starts collecting live transfer statistics and refreshing them every
+   * TELEMETRY_INTERVAL, so a stalled link shows up as falling speed
+   * @param {Object} job - Job from createJob
+   * @param {number} totalBytes - Image size in bytes
+   * @param {number} startOffset - Offset the transfer starts from
+   */
+  startTelemetry(job, totalBytes, startOffset) {
+    const now = performance.now();
+    updater.stopTelemetry(job);
+    job.telemetry = {
+      totalBytes,
+      startOffset,
+      startTime: now,
+      committed: startOffset,
+      window: null,
+      points: [{ time: now, committed: startOffset }], // ACKs within TELEMETRY_WINDOW
+      samples: [], // Current speed at each refresh, for the sparkline
+      currentSpeed: 0,
+      averageSpeed: 0,
+      eta: null,
+      retries: 0,
+      consecutiveErrors: 0,
+      timer: setInterval(
+        () => updater.renderTelemetry(job),
+        TELEMETRY_INTERVAL
+      ),
+    };
+    updater.renderTelemetry(job);
+  },
+
+  /**
+   * Records the offset the device has committed after an ACK
+   * @param {Object} job - Job from createJob
+   * @param {number} committed - Bytes committed so far
+   * @param {number|null} window - Frames in flight, for pipelined transfers
+   */
+  trackTransfer(job, committed, window = null) {
+    const stats = job.telemetry;
+    if (!stats) return;
+
+    stats.committed = committed;
+    stats.window = window;
+    stats.consecutiveErrors = 0;
+    stats.points.push({ time: performance.now(), committed });
+  },
+
+  /**
+   * Recomputes speed and ETA, then refreshes the progress bar and telemetry
+   * @param {Object} job - Job from createJob
+   */
+  renderTelemetry(job) {
+    const stats = job.telemetry;
+    if (!stats) return;
+
+    const now = performance.now();
+    while (
+      stats.points.length > 1 &&
+      stats.points[1].time <= now - TELEMETRY_WINDOW
+    ) {
+      stats.points.shift();
+    }
+
+    const base = stats.points[0];
+    const span = (now - base.time) / 1000;
+    const elapsed = (now - stats.startTime) / 1000;
+    stats.currentSpeed =
+      span > 0 ? (stats.committed - base.committed) / span : 0;
+    stats.averageSpeed =
+      elapsed > 0 ? (stats.committed - stats.startOffset) / elapsed : 0;
+    stats.eta =
+      stats.averageSpeed > 0
+        ? (stats.totalBytes - stats.committed) / stats.averageSpeed
+        : null;
+
+    if (elapsed > 0) {
+      stats.samples.push(stats.currentSpeed);
+      if (stats.samples.length > TELEMETRY_SAMPLES) stats.samples.shift();
+    }
+
+    const transferProgress = updater.updateStage(
+      job,
+      "write",
+      (stats.committed / stats.totalBytes) * 100
+    );
+    const details = [
+      stats.currentSpeed > 0
+        ? `${utils.formatBytes(Math.round(stats.currentSpeed))}/s`
+        : null,
+      stats.window ? `window ${stats.window}` : null,
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    updater.showProgress(
+      job,
+      transferProgress,
+      `Uploading: ${Math.round(transferProgress)}%${
+        details ? ` (${details})` : ""
+      } Do not disconnect device.`
+    );
+    job.view.telemetry?.(stats);
+  },
+
+  /**
+   * Stops the refresh timer after a final refresh. The last figures stay on
+   * screen until the next update starts.
+   * @param {Object} job - Job from createJob
+   */
+  stopTelemetry(job) {
+    const stats = job.telemetry;
+    if (!stats) return;
+
+    clearInterval(stats.timer);
+    updater.renderTelemetry(job);
+    job.telemetry = null;
+  },
+
+  /**
+   * Marks every update stage as pending, ready for a new run
+   * @param {Object} job - Job from createJob
+   */
+  resetStages(job) {
+    job.stages = Object.fromEntries(
+      UPDATE_STAGES.map(({ id }) => [id, { status: "pending", percent: null }])
+    );
+    job.view.stages?.(job.stages);
+  },
+
+  /**
+   * Marks a stage as running and every stage before it as done.
+   * @param {Object} job - Job from createJob
+   * @param {string} id - Stage ID from UPDATE_STAGES
+   */
+  beginStage(job, id) {
+    if (!job.stages) return;
+
+    const index = UPDATE_STAGES.findIndex((stage) => stage.id === id);
+    UPDATE_STAGES.forEach((stage, position) => {
+      const state = job.stages[stage.id];
+      if (position < index) {
+        state.status = "done";
+        state.percent = 100;
+      } else if (position === index) {
+        state.status = "active";
+        state.percent = null;
+      }
+    });
+    job.view.stages?.(job.stages);
+  },
+
+  /**
+   * Moves a stage forward, starting it first if the device got there before
+   * the installer did. A finished stage keeps its position.
+   * @param {Object} job - Job from createJob
+   * @param {string} id - Stage ID from UPDATE_STAGES
+   * @param {number|null} percent - Position within the stage, if known
+   * @returns {number} - Progress bar position for the stage
+   */
+  updateStage(job, id, percent) {
+    const state = job.stages?.[id];
+    if (state?.status === "pending") updater.beginStage(job, id);
+
+    if (state?.status === "active" && percent !== null) {
+      state.percent = Math.max(state.percent ?? 0, Math.min(percent, 100));
+      job.view.stages?.(job.stages);
+    }
+    return updater.getStageProgress(job, id);
+  },
+
+  /**
+   * Maps a stage's position onto its span of the progress bar
+   * @param {Object} job - Job from createJob
+   * @param {string} id - Stage ID from UPDATE_STAGES
+   * @returns {number} - Progress bar position (0-100)
+   */
+  getStageProgress(job, id) {
+    const { start, end } = UPDATE_STAGES.find((stage) => stage.id === id);
+    const percent = job.stages?.[id]?.percent ?? 0;
+    return start + (percent / 100) * (end - start);
+  },
+
+  /**
+   * Marks the remaining stages as done, or the running stage as failed
+   * @param {Object} job - Job from createJob
+   * @param {boolean} success - True if the device accepted the update
+   */
+  endStages(job, success) {
+    if (!job.stages) return;
+
+    Object.values(job.stages).forEach((state) => {
+      if (success) {
+        state.status = "done";
+        state.percent = 100;
+      } else if (state.status === "active") {
+        state.status = "failed";
+      }
+    });
+    job.view.stages?.(job.stages);
+  },
+
+  /**
+   * Checks whether a device's firmware understands versioned chunk frames
+   * @param {Object} connection - Connection to the device
+   * @returns {boolean} - True if SEND_CHUNK frames can be used
+   */
+  supportsChunkFrames(connection) {
+    return (
+      connection.binaryFraming ||
+      (connection.info?.chunk_protocol || 1) >= CHUNK_PROTOCOL_VERSION
+    );
+  },
+
+  /**
+   * Checks whether a device's firmware can buffer several chunk frames
+   * @param {Object} connection - Connection to the device
+   * @returns {boolean} - True if a pipelined transfer can be used
+   */
+  supportsPipelining(connection) {
+    return (
+      updater.supportsChunkFrames(connection) &&
+      (connection.info?.chunk_window || 1) > 1
+    );
+  },
+
+  /**
+   * Validates an offset reported by the device before resuming from it
+   * @param {number} committed - Bytes the device reports as committed
+   * @param {number} totalBytes - Image size in bytes
+   * @returns {number} - Offset to continue the transfer from
+   */
+  validateCommittedOffset(committed, totalBytes) {
+    if (committed < 0 || committed > totalBytes) {
+      throw new Error(`Device reported invalid offset ${committed}`);
+    }
+    return committed;
+  },
+
+  /**
+   * Asks the device how many bytes it has committed after a failed chunk
+   * @param {Object} connection - Connection to the device
+   * @param {number} fallbackOffset - Offset to retry from if the query fails
+   * @param {number} totalBytes - Image size in bytes
+   * @returns {Promise<number>} - Offset to continue the transfer from
+   */
+  async queryCommittedOffset(connection, fallbackOffset, totalBytes) {
+    try {
+      const statusResponse = await connection.sendCommand(
+        SERIAL_COMMANDS.GET_STATUS
+      );
+      if (Number.isInteger(statusResponse?.offset)) {
+        const committed = updater.validateCommittedOffset(
+          statusResponse.offset,
+          totalBytes
+        );
+        if (committed !== fallbackOffset) {
+          console.log(
+            `Resyncing transfer from offset ${fallbackOffset} to ${committed}`
+          );
+        }
+        return committed;
+      }
+    } catch (error) {
+      console.warn("Failed to query committed offset:", error);
+    }
+    return fallbackOffset;
+  },
+
+  /**
+   * Picks the strongest image hash algorithm a device's firmware supports
+   * @param {Object} connection - Connection to the device
+   * @returns {string} - One of HASH_ALGORITHMS
+   */
+  selectHashAlgorithm(connection) {
+    const supported = connection.info?.hash_algorithms || [];
+    return supported.includes(HASH_ALGORITHMS.SHA256)
+      ? HASH_ALGORITHMS.SHA256
+      : HASH_ALGORITHMS.MD5;
+  },
+
+  /**
+   * Asks the device to hash the received image and compares it with the host
+   * hash. Throws on mismatch so the update is aborted before the device reboots.
+   * @param {Object} job - Job from createJob
+   * @param {string} algorithm - Hash algorithm used for imageHash
+   * @param {string} imageHash - Hexadecimal hash of the selected file
+   * @returns {Promise<void>} - Resolves when the image is verified
+   */
+  async verifyImage(job, algorithm, imageHash) {
+    const label = algorithm === HASH_ALGORITHMS.SHA256 ? "SHA-256" : "MD5";
+
+    updater.beginStage(job, "verify");
+    updater.showProgress(
+      job,
+      updater.getStageProgress(job, "verify"),
+      "Verifying image integrity..."
+    );
+    job.view.integrity?.(`Verifying ${label} ${imageHash}...`, "info");
+
+    const response = await job.connection.sendCommand(
+      SERIAL_COMMANDS.VALIDATE_FIRMWARE,
+      `${algorithm},${imageHash}`,
+      VALIDATE_TIMEOUT
+    );
+
+    const deviceHash = (response?.hash || "").toLowerCase();
+    const verified =
+      response &&
+      response.success &&
+      response.valid !== false &&
+      (!deviceHash || deviceHash === imageHash);
+
+    if (!verified) {
+      job.view.integrity?.(
+        `Integrity mismatch: expected ${label} ${imageHash}, device computed ${
+          deviceHash || "a different hash"
+        }`,
+        "error"
+      );
+      throw new Error(
+        response?.message || "Image on device does not match selected file"
+      );
+    }
+
+    job.view.integrity?.(
+      `Verified: ${label} ${imageHash} matches the image on the device`,
+      "success"
+    );
+  },
+
+  /**
+   * Tells the device to commit the verified image. The device restarts once
+   * it has replied.
+   * @param {Object} job - Job from createJob
+   * @returns {Promise<void>} - Resolves once FINISH_UPDATE succeeds
+   */
+  async finishUpdate(job) {
+    updater.beginStage(job, "finish");
+    updater.showProgress(
+      job,
+      updater.getStageProgress(job, "finish"),
+      "Finalizing update..."
+    );
+
+    const finishResponse = await job.connection.sendCommandWithRetry(
+      SERIAL_COMMANDS.FINISH_UPDATE
+    );
+
+    if (!finishResponse || !finishResponse.success) {
+      throw new Error(finishResponse?.message || "Failed to finish update");
+    }
+  },
+
+  /**
+   * Restores the firmware that was running before the last update. The device
+   * is queried first so the user can confirm which version will be restored.
+   * @returns {Promise<void>} - Resolves when rollback completes or fails
+   */
+  async rollbackFirmware() {
+    if (!isConnected || updateInProgress) return;
+
+    utils.hideStatus(elements.updateStatus);
+    if (elements.rollbackBtn) elements.rollbackBtn.disabled = true;
+
+    try {
+      const statusResponse = await serial.sendCommand(
+        SERIAL_COMMANDS.GET_STATUS
+      );
+
+      if (!statusResponse || !statusResponse.success) {
+        throw new Error(
+          statusResponse?.message || "Unable to read device status"
+        );
+      }
+
+      if (!statusResponse.rollback_available) {
+        utils.showStatus(
+          elements.updateStatus,
+          "No previous firmware is available to restore on this device",
+          "warning"
+        );
+        return;
+      }
+
+      const currentVersion = deviceInfo?.firmware_version || "unknown";
+      const previousVersion = statusResponse.rollback_version || "unknown";
+
+      const confirmed = window.confirm(
+        `Restore previous firmware?\n\nCurrent version: ${currentVersion}\nRestore to: ${previousVersion}\n\nThe device will restart once the rollback is complete.`
+      );
+
+      if (!confirmed) {
+        utils.showStatus(
+          elements.updateStatus,
+          "Rollback cancelled",
+          "warning"
+        );
+        return;
+      }
+
+      updateInProgress = true;
+      ui.updateUpdateState(true);
+      utils.showStatus(
+        elements.updateStatus,
+        `Restoring firmware ${previousVersion}...`,
+        "info"
+      );
+
+      const rollbackResponse = await serial.sendCommand(
+        SERIAL_COMMANDS.ROLLBACK
+      );
+
+      if (!rollbackResponse || !rollbackResponse.success) {
+        throw new Error(rollbackResponse?.message || "ROLLBACK command failed");
+      }
+
+      updateInProgress = false;
+      ui.updateUpdateState(false);
+      utils.showStatus(
+        elements.updateStatus,
+        `Firmware ${previousVersion} restored! Device will restart automatically.`,
+        "success"
+      );
+
+      updater.handleDeviceRestart(
+        `Firmware ${previousVersion} restored successfully. Waiting for the device to restart...`
+      );
+    } catch (error) {
+      console.error("Rollback failed:", error);
+      updateInProgress = false;
+      ui.updateUpdateState(false);
+      utils.showStatus(
+        elements.updateStatus,
+        `Rollback failed: ${error.message}`,
+        "error"
+      );
+    } finally {
+      if (elements.rollbackBtn) elements.rollbackBtn.disabled = false;
+    }
+  },
+
+  /**
+   * Starts the report for an update: what is being flashed and what the
+   * device was running before
+   * @param {ArrayBuffer} arrayBuffer - Image being flashed
+   * @param {string} updateType - "firmware" or "filesystem"
+   * @returns {Object} - Report filled in as the update runs
+   */
+  createReport(arrayBuffer, updateType) {
+    let expectedVersion = null;
+    if (updateType === "firmware") {
+      try {
+        expectedVersion =
+          firmwareImage.parseHeader(arrayBuffer).appDesc?.version || null;
+      } catch (error) {
+        console.warn("Could not read the image version:", error);
+      }
+    }
+
+    return {
+      updateType,
+      expectedVersion,
+      previousVersion: deviceInfo?.firmware_version || null,
+      bytesSent: 0,
+      timings: {},
+    };
+  },
+
+  /**
+   * Waits for the device to restart after an update, checks it booted the
+   * new image and shows the pass/fail report. A rollback is taken from
+   * `rollback_detected` in GET_INFO, or inferred when the device comes back
+   * on its previous version instead of the flashed one.
+   * @param {Object} report - Report from createReport
+   * @param {number} startTime - Update start timestamp (performance.now)
+   * @param {boolean} showReport - Show the report once complete
+   * @param {boolean} stayInUpdateMode - Restart the device back into Update
+   *   Mode if it boots into another one, for a step followed by another
+   * @returns {Promise<Object>} - The completed report
+   */
+  async verifyBoot(
+    report,
+    startTime,
+    showReport = true,
+    stayInUpdateMode = false
+  ) {
+    const restartStart = performance.now();
+    const bootInfo = await serial.reconnectAfterRestart(
+      "Update completed successfully. Waiting for the device to restart...",
+      stayInUpdateMode
+    );
+    report.timings.restart = (performance.now() - restartStart) / 1000;
+    report.timings.total = (performance.now() - startTime) / 1000;
+
+    report.reconnected = Boolean(bootInfo);
+    report.runningVersion = bootInfo?.firmware_version || null;
+    report.rollback =
+      report.reconnected &&
+      (Boolean(bootInfo.rollback_detected) ||
+        (report.expectedVersion !== null &&
+          report.previousVersion !== null &&
+          report.expectedVersion !== report.previousVersion &&
+          report.runningVersion === report.previousVersion));
+
+    if (!report.reconnected) {
+      report.passed = false;
+      report.reason = "The device did not come back after restarting";
+    } else if (report.rollback) {
+      report.passed = false;
+      report.reason = "The device rolled back to its previous firmware";
+    } else if (
+      report.expectedVersion !== null &&
+      utils.compareVersions(report.runningVersion, report.expectedVersion) !== 0
+    ) {
+      report.passed = false;
+      report.reason = `The device is running ${
+        report.runningVersion || "an unknown version"
+      } instead of ${report.expectedVersion}`;
+    } else {
+      report.passed = true;
+      report.reason =
+        report.updateType === "firmware"
+          ? "The new firmware booted"
+          : "The device restarted with the new animations";
+    }
+
+    console.log("Update report:", report);
+    if (showReport) ui.updateUpdateReport(report);
+    return report;
+  },
+
+  /**
+   * Disconnects once the device has had time to begin restarting, then
+   * reconnects to it automatically
+   * @param {string} message - Connection status shown while it restarts
+   */
+  handleDeviceRestart(message) {
+    serial.reconnectAfterRestart(message).catch((reconnectError) => {
+      console.warn("Failed to reconnect after device restart:", reconnectError);
+    });
+  },
+
+  /**
+   * Handles PROGRESS messages. Stage reports move the matching stage of the
+   * progress display; others report the end of a device-side update.
+   * @param {Object} progress - Parsed PROGRESS message
+   */
+  handleProgressEvent(progress) {
+    if (progress.stage !== undefined) {
+      if (updater.job) updater.handleStageProgress(updater.job, progress);
+      return;
+    }
+    if (!progress.completed) return;
+
+    updateInProgress = false;
+    if (progress.success) {
+      utils.showStatus(
+        elements.updateStatus,
+        "Update completed successfully! Device will restart.",
+        "success"
+      );
+    } else {
+      utils.showStatus(
+        elements.updateStatus,
+        progress.message || "Update failed",
+        "error"
+      );
+    }
+    ui.updateUpdateState(false);
+  },
+
+  /**
+   * Shows the device's position within an erase, write or verify stage.
+   * The position is given as `percent`, or as `bytes` out of `total`. A
+   * report goes to the running stage with that name, or to the next one.
+   * @param {Object} job - Job the device is working on
+   * @param {Object} progress - Parsed PROGRESS message with a `stage`
+   */
+  handleStageProgress(job, progress) {
+    if (!job.stages) return;
+    const stages = UPDATE_STAGES.filter(
+      ({ report }) => report === progress.stage
+    );
+    const stage =
+      stages.find(({ id }) => job.stages[id].status === "active") ||
+      stages.find(({ id }) => job.stages[id].status === "pending");
+    if (!stage) return;
+
+    let percent = null;
+    if (Number.isFinite(progress.percent)) {
+      percent = progress.percent;
+    } else if (Number.isFinite(progress.bytes) && progress.total > 0) {
+      percent = (progress.bytes / progress.total) * 100;
+    }
+    percent = percent === null ? null : Math.min(Math.max(percent, 0), 100);
+
+    const position = updater.updateStage(job, stage.id, percent);
+
+    // The transfer refreshes the bar itself while writing
+    if (stage.id === "write") return;
+
+    updater.showProgress(
+      job,
+      Math.max(job.position, position),
+      percent === null
+        ? `${stage.activity}...`
+        : `${stage.activity}: ${Math.round(percent)}%...`
+    );
+  },
+
+  /**
+   * Cancels an ongoing firmware update operation
+   * @returns {Promise<void>} - Resolves when abort completes
+   */
+  async abortUpdate() {
+    try {
+      await serial.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
+      updateInProgress = false;
+      ui.updateUpdateState(false);
+      utils.resetProgress();
+      utils.showStatus(elements.updateStatus, "Update aborted", "warning");
+    } catch (error) {
+      console.error("Failed to abort update:", error);
+    }
+  },
+};
+
+//==============================================================================
+// DIAGNOSTICS MODULE
+//==============================================================================
+
+/**
+ * Diagnostics bundle identification
+ */
+const DIAGNOSTICS_FORMAT = "byte90-diagnostics";
+const DIAGNOSTICS_FORMAT_VERSION = 1;
+
+/**
+ * Bundles device responses, browser details, the selected images, the last
+ * update's chunk history and the serial log into one JSON file for support
+ */
+const diagnostics = {
+  busy: false, // True while a bundle is being collected
+
+  /**
+   * Collects the bundle and saves it to the user's computer
+   * @returns {Promise<void>} - Resolves once the file has been offered
+   */
+  async download() {
+    if (diagnostics.busy) return;
+
+    diagnostics.busy = true;
+    if (elements.diagnosticsBtn) elements.diagnosticsBtn.disabled = true;
+
+    try {
+      const bundle = await diagnostics.collect();
+      const stamp = bundle.created
+        .replace(/[-:]/g, "")
+        .replace("T", "-")
+        .slice(0, 13);
+      const fileName = `byte90-diagnostics-${stamp}.json`;
+
+      utils.downloadBlob(
+        new Blob([JSON.stringify(bundle, null, 2)], {
+          type: "application/json",
+        }),
+        fileName
+      );
+      utils.showStatus(
+        elements.connectionStatus,
+        `Diagnostics saved as ${fileName}. Attach it to your support request.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Diagnostics failed:", error);
+      utils.showStatus(
+        elements.connectionStatus,
+        `Could not collect diagnostics: ${error.message}`,
+        "error"
+      );
+    } finally {
+      diagnostics.busy = false;
+      if (elements.diagnosticsBtn) elements.diagnosticsBtn.disabled = false;
+    }
+  },
+
+  /**
+   * Builds the bundle. Status texts are read first so the bundle shows what
+   * the user saw before it was collected.
+   * @returns {Promise<Object>} - Diagnostics bundle
+   */
+  async collect() {
+    const statusText = (element) =>
+      element && element.style.display !== "none"
+        ? element.textContent || null
+        : null;
+    const status = {
+      connection: statusText(elements.connectionStatus),
+      update: statusText(elements.updateStatus),
+      integrity: statusText(elements.integrityStatus),
+      progress: elements.progressText?.textContent || null,
+    };
+
+    return {
+      format: DIAGNOSTICS_FORMAT,
+      version: DIAGNOSTICS_FORMAT_VERSION,
+      created: new Date().toISOString(),
+      page: {
+        url: window.location.href,
+        manifest: catalog.manifestUrl,
+      },
+      browser: diagnostics.getBrowserInfo(),
+      connection: {
+        connected: isConnected,
+        port: serial.connection.port?.getInfo() || null,
+        baudRate: SERIAL_CONFIG.baudRate,
+        requestIds: serial.connection.requestIds,
+        binaryFraming: serial.connection.binaryFraming,
+      },
+      device: await diagnostics.queryDevice(),
+      status,
+      selectedFiles: await diagnostics.describeSelectedFiles(),
+      updates: updater.history,
+      panic: panicDecoder.panic,
+      serialLog: deviceConsole.entries.map((entry) =>
+        deviceConsole.formatEntry(entry, true)
+      ),
+    };
+  },
+
+  /**
+   * Describes the browser and its Web Serial support
+   * @returns {Object} - Browser details
+   */
+  getBrowserInfo() {
+    return {
+      userAgent: navigator.userAgent,
+      platform: navigator.userAgentData?.platform || navigator.platform || null,
+      language: navigator.language || null,
+      webSerial: "serial" in navigator,
+      secureContext: Boolean(window.isSecureContext),
+      indexedDB: typeof indexedDB !== "undefined",
+    };
+  },
+
+  /**
+   * Asks the device for fresh GET_INFO, GET_STATUS, partition and storage
+   * responses. While disconnected or busy, the responses from connecting are
+   * used instead and GET_STATUS is left out.
+   * @returns {Promise<Object>} - Responses, or `{ error }` for failed queries
+   */
+  async queryDevice() {
+    if (deviceConsole.isLocked()) {
+      return {
+        live: false,
+        info: deviceInfo,
+        status: null,
+        partitions: partitionInfo,
+        storage: storageInfo,
+      };
+    }
+
+    const query = async (command) => {
+      try {
+        return await serial.sendCommand(command);
+      } catch (error) {
+        return { error: error.message };
+      }
+    };
+
+    return {
+      live: true,
+      info: await query(SERIAL_COMMANDS.GET_INFO),
+      status: await query(SERIAL_COMMANDS.GET_STATUS),
+      partitions: await query(SERIAL_COMMANDS.GET_PARTITION_INFO),
+      storage: await query(SERIAL_COMMANDS.GET_STORAGE_INFO),
+    };
+  },
+
+  /**
+   * Lists the images currently chosen for an update with their SHA-256
+   * @returns {Promise<Array<Object>>} - `{ source, updateType, name, size, sha256 }`
+   */
+  async describeSelectedFiles() {
+    const selected = [];
+
+    if (catalog.releaseImage) {
+      Object.entries(catalog.releaseImage.files).forEach(([type, file]) =>
+        selected.push({
+          source: `release ${catalog.releaseImage.release.version}`,
+          updateType: type,
+          file,
+        })
+      );
+    }
+
+    const updateType = elements.updateType?.value || "firmware";
+    const firmwareFile = elements.firmwareFile?.files[0];
+    const animationsFile = elements.animationsFile?.files[0];
+    if (firmwareFile) {
+      selected.push({
+        source: "local file",
+        updateType: updateType === "full" ? "firmware" : updateType,
+        file: firmwareFile,
+      });
+    }
+    if (animationsFile && updateType === "full") {
+      selected.push({
+        source: "local file",
+        updateType: "filesystem",
+        file: animationsFile,
+      });
+    }
+
+    return Promise.all(
+      selected.map(async ({ source, updateType, file }) => ({
+        source,
+        updateType,
+        name: file.name,
+        size: file.size,
+        sha256: await utils.computeHash(
+          await file.arrayBuffer(),
+          HASH_ALGORITHMS.SHA256
+        ),
+      }))
+    );
+  },
+};
+
+//==============================================================================
+// USER INTERFACE MANAGEMENT
+//==============================================================================
+
+/**
+ * Handles all UI state changes and element visibility management
+ */
+const ui = {
+  /**
+   * Updates UI elements based on connection state
+   * @param {boolean} connected - True if device is connected
+   */
+  updateConnectionState(connected) {
+    if (connected) {
+      if (elements.connectBtn) elements.connectBtn.style.display = "none";
+      if (elements.disconnectBtn)
+        elements.disconnectBtn.style.display = "inline-flex";
+      if (elements.deviceInfo) elements.deviceInfo.style.display = "block";
+      if (elements.updateSection)
+        elements.updateSection.style.display = "block";
+      if (elements.fileManagerSection)
+        elements.fileManagerSection.style.display = "block";
+      if (elements.backupSection)
+        elements.backupSection.style.display = "block";
+      if (elements.recoverySection)
+        elements.recoverySection.style.display = "none";
+      if (elements.batchSection) elements.batchSection.style.display = "none";
+    } else {
+      if (elements.connectBtn)
+        elements.connectBtn.style.display = "inline-flex";
+      if (elements.disconnectBtn) elements.disconnectBtn.style.display = "none";
+      if (elements.deviceInfo) elements.deviceInfo.style.display = "none";
+      if (elements.updateSection) elements.updateSection.style.display = "none";
+      if (elements.fileManagerSection)
+        elements.fileManagerSection.style.display = "none";
+      if (elements.backupSection) elements.backupSection.style.display = "none";
+      if (elements.recoverySection)
+        elements.recoverySection.style.display = "block";
+      if (elements.batchSection) elements.batchSection.style.display = "block";
+      if (elements.uploadBtn) elements.uploadBtn.disabled = true;
+      this.hideResumeOffer();
+      this.clearDeviceInfo();
+    }
+    this.updateBatchState();
+    this.updateConsoleState();
+  },
+
+  /**
+   * Populates device information fields with data from the device
+   * @param {Object} info - Device information object from GET_INFO response
+   */
+  updateDeviceInfo(info) {
+    if (info) {
+      if (elements.firmwareVersion)
+        elements.firmwareVersion.textContent = info.firmware_version || "-";
+      if (elements.mcu) elements.mcu.textContent = info.mcu || "-";
+      if (elements.availableSpace)
+        elements.availableSpace.textContent = info.flash_available || "-";
+      if (elements.freeHeap)
+        elements.freeHeap.textContent = info.free_heap || "-";
+    }
+  },
+
+  /**
+   * Renders the partition table in the device inspector panel
+   * @param {Array<Object>|null} partitions - Normalized partition list
+   */
+  updatePartitionInfo(partitions) {
+    const body = elements.partitionTableBody;
+    if (!body) return;
+
+    body.replaceChildren();
+
+    if (!partitions || partitions.length === 0) {
+      const row = body.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.textContent = "Partition information unavailable";
+      return;
+    }
+
+    partitions.forEach((partition) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = partition.label;
+      row.insertCell().textContent = `${partition.type}/${partition.subtype}`;
+      row.insertCell().textContent = utils.formatHex(partition.offset);
+      row.insertCell().textContent = utils.formatBytes(partition.size);
+
+      const flags = row.insertCell();
+      if (partition.running) flags.append(ui.createFlag("Active"));
+      if (partition.boot) flags.append(ui.createFlag("Boot"));
+    });
+  },
+
+  /**
+   * Creates a small badge used for partition flags
+   * @param {string} label - Badge text
+   * @returns {Element} - Badge element
+   */
+  createFlag(label) {
+    const flag = document.createElement("span");
+    flag.className = "partition-flag";
+    flag.textContent = label;
+    return flag;
+  },
+
+  /**
+   * Shows filesystem usage in the device inspector panel
+   * @param {Object|null} storage - Normalized storage information
+   */
+  updateStorageInfo(storage) {
+    if (elements.storageSummary) {
+      elements.storageSummary.textContent = storage
+        ? `${storage.filesystem}: ${utils.formatBytes(
+            storage.used
+          )} used, ${utils.formatBytes(storage.free)} free`
+        : "-";
+    }
+    if (elements.storageUsage) {
+      elements.storageUsage.value =
+        storage && storage.total ? (storage.used / storage.total) * 100 : 0;
+    }
+    if (elements.fileFreeSpace) {
+      elements.fileFreeSpace.textContent = storage
+        ? `${utils.formatBytes(storage.free)} of ${utils.formatBytes(
+            storage.total
+          )}`
+        : "-";
+    }
+  },
+
+  /**
+   * Renders the device file list
+   * @param {Array<Object>} files - Normalized file entries
+   */
+  updateFileList(files) {
+    const body = elements.fileTableBody;
+    if (!body) return;
+
+    body.replaceChildren();
+
+    if (files.length === 0) {
+      const cell = body.insertRow().insertCell();
+      cell.colSpan = 3;
+      cell.textContent = "No files";
+      return;
+    }
+
+    files.forEach((file) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = file.name;
+      row.insertCell().textContent = utils.formatBytes(file.size);
+
+      const actions = row.insertCell();
+      actions.append(
+        ui.createFileAction("Download", "download", file.path),
+        ui.createFileAction("Delete", "delete", file.path)
+      );
+    });
+
+    ui.updateFileManagerState();
+  },
+
+  /**
+   * Creates a row button for the file list
+   * @param {string} label - Button text
+   * @param {string} action - Action name read by the click handler
+   * @param {string} path - File path the action applies to
+   * @returns {Element} - Button element
+   */
+  createFileAction(label, action, path) {
+    const button = document.createElement("button");
+    button.className = "file-table__action";
+    button.textContent = label;
+    button.dataset.action = action;
+    button.dataset.path = path;
+    return button;
+  },
+
+  /**
+   * Rebuilds the batch device cards
+   */
+  updateBatchDevices() {
+    if (!elements.batchDevices) return;
+
+    elements.batchDevices.replaceChildren(
+      ...batch.devices.map((device) => {
+        const card = document.createElement("div");
+        card.className = "batch-device";
+        card.dataset.deviceId = device.id;
+
+        const header = document.createElement("div");
+        header.className = "batch-device__header";
+        const title = document.createElement("span");
+        title.className = "batch-device__title";
+        const remove = document.createElement("button");
+        remove.className = "file-table__action";
+        remove.textContent = "Remove";
+        remove.dataset.action = "remove";
+        remove.dataset.deviceId = device.id;
+        header.append(title, remove);
+
+        const progress = document.createElement("progress");
+        progress.className = "progress-bar__meter";
+        progress.max = 100;
+        const message = document.createElement("div");
+        message.className = "progress-bar__status";
+
+        card.append(header, progress, message);
+        device.card = { card, title, remove, progress, message };
+        ui.updateBatchDevice(device);
+        return card;
+      })
+    );
+    ui.updateBatchState();
+  },
+
+  /**
+   * Refreshes one batch device card
+   * @param {Object} device - Batch device
+   */
+  updateBatchDevice(device) {
+    if (!device.card) return;
+
+    const { card, title, remove, progress, message } = device.card;
+    const details = device.info
+      ? [device.info.mcu, device.info.firmware_version]
+          .filter(Boolean)
+          .join(", ")
+      : "";
+    title.textContent = `Device ${device.id}${details ? ` (${details})` : ""}`;
+    progress.value = device.progress;
+    message.textContent = device.message;
+    remove.disabled = batch.running;
+    card.classList.toggle("batch-device--error", device.state === "error");
+    card.classList.toggle("batch-device--done", device.state === "done");
+  },
+
+  /**
+   * Enables the batch controls to match the batch and connection state
+   */
+  updateBatchState() {
+    const busy = batch.running || isConnected;
+    if (elements.addBatchDeviceBtn) elements.addBatchDeviceBtn.disabled = busy;
+    if (elements.startBatchBtn) {
+      elements.startBatchBtn.disabled = busy || batch.devices.length === 0;
+    }
+    if (elements.batchFirmwareFile) {
+      elements.batchFirmwareFile.disabled = batch.running;
+    }
+    if (elements.batchFilesystemFile) {
+      elements.batchFilesystemFile.disabled = batch.running;
+    }
+    if (elements.connectBtn) elements.connectBtn.disabled = batch.running;
+    batch.devices.forEach((device) => ui.updateBatchDevice(device));
+  },
+
+  /**
+   * Shows the per-device results once every device has a result
+   */
+  updateBatchSummary() {
+    if (!elements.batchSummary || !elements.batchSummaryBody) return;
+
+    const finished = batch.devices.filter((device) => device.result);
+    if (batch.running || finished.length === 0) {
+      elements.batchSummary.style.display = "none";
+      return;
+    }
+
+    elements.batchSummaryBody.replaceChildren();
+    finished.forEach((device) => {
+      const { result } = device;
+      const row = elements.batchSummaryBody.insertRow();
+      row.insertCell().textContent = `Device ${device.id}`;
+      row.insertCell().textContent = result.passed ? "Passed" : "Failed";
+      row.insertCell().textContent = result.previousVersion || "-";
+      row.insertCell().textContent = result.runningVersion || "-";
+      row.insertCell().textContent = `${result.seconds.toFixed(1)}s`;
+      row.insertCell().textContent = result.message;
+    });
+    elements.batchSummary.style.display = "table";
+  },
+
+  /**
+   * Locks the connect and recovery controls while recovery is running
+   */
+  updateRecoveryState() {
+    if (elements.recoveryBtn) {
+      elements.recoveryBtn.disabled = recovery.active;
+    }
+    if (elements.connectBtn) elements.connectBtn.disabled = recovery.active;
+    if (elements.recoveryProgressContainer && recovery.active) {
+      elements.recoveryProgressContainer.style.display = "block";
+    }
+  },
+
+  /**
+   * Lists the files of the last backup with a save link each
+   * @param {Array<Object>} downloads - `{ file, size, url }` entries
+   */
+  updateBackupDownloads(downloads) {
+    const list = elements.backupDownloads;
+    if (!list) return;
+
+    list.replaceChildren(
+      ...downloads.map(({ file, size, url }) => {
+        const item = document.createElement("li");
+        const label = document.createElement("span");
+        label.textContent = `${file} (${utils.formatBytes(size)})`;
+
+        const link = document.createElement("a");
+        link.className = "btn btn-muted";
+        link.href = url;
+        link.download = file;
+        link.textContent = "Save";
+
+        item.append(label, link);
+        return item;
+      })
+    );
+  },
+
+  /**
+   * Lists the images of a verified backup with a restore button each
+   * @param {Array<Object>} images - Verified backup images
+   */
+  updateRestoreList(images) {
+    const list = elements.restoreList;
+    if (!list) return;
+
+    list.replaceChildren(
+      ...images.map((image, index) => {
+        const item = document.createElement("li");
+        const label = document.createElement("span");
+        label.textContent = `${
+          image.updateType === "filesystem" ? "Animations" : "Firmware"
+        } (${image.partition}, ${utils.formatBytes(image.size)})`;
+
+        const restore = document.createElement("button");
+        restore.className = "btn btn-muted";
+        restore.textContent = "Restore";
+        restore.dataset.index = index;
+
+        item.append(label, restore);
+        return item;
+      })
+    );
+    ui.updateBackupState();
+  },
+
+  /**
+   * Disables backup controls while a backup, file operation or update runs
+   */
+  updateBackupState() {
+    const locked = backup.busy || fileManager.busy || updateInProgress;
+
+    if (elements.createBackupBtn) elements.createBackupBtn.disabled = locked;
+    if (elements.restoreFiles) elements.restoreFiles.disabled = locked;
+    elements.restoreList
+      ?.querySelectorAll("button")
+      .forEach((button) => (button.disabled = locked));
+  },
+
+  /**
+   * Draws console entries that pass the filters and trims the oldest lines
+   * @param {Array<Object>} entries - Entries to draw
+   * @param {boolean} replace - Replace the view instead of appending to it
+   */
+  appendConsoleEntries(entries, replace = false) {
+    const output = elements.consoleOutput;
+    if (!output) return;
+
+    const lines = entries.filter(deviceConsole.matches).map((entry) => {
+      const line = document.createElement("div");
+      line.className = `console-line console-line--${entry.direction}`;
+      line.textContent = deviceConsole.formatEntry(entry);
+      return line;
+    });
+
+    if (replace) {
+      output.replaceChildren(...lines);
+    } else {
+      output.append(...lines);
+    }
+    while (output.childElementCount > CONSOLE_MAX_ENTRIES) {
+      output.firstElementChild.remove();
+    }
+    if (!deviceConsole.scrollLock) {
+      output.scrollTop = output.scrollHeight;
+    }
+    ui.updateConsoleState();
+  },
+
+  /**
+   * Refreshes the console buttons and command input
+   */
+  updateConsoleState() {
+    const locked = deviceConsole.isLocked();
+
+    if (elements.consolePauseBtn) {
+      elements.consolePauseBtn.textContent = deviceConsole.paused
+        ? `Resume${
+            deviceConsole.unseen ? ` (${deviceConsole.unseen} new)` : ""
+          }`
+        : "Pause";
+    }
+    if (elements.consoleScrollLockBtn) {
+      elements.consoleScrollLockBtn.textContent = deviceConsole.scrollLock
+        ? "Follow Output"
+        : "Scroll Lock";
+    }
+    if (elements.consoleExportBtn) {
+      elements.consoleExportBtn.disabled = deviceConsole.entries.length === 0;
+    }
+    if (elements.consoleCommand) elements.consoleCommand.disabled = locked;
+    if (elements.consoleSendBtn) elements.consoleSendBtn.disabled = locked;
+  },
+
+  /**
+   * Shows live transfer statistics and the throughput sparkline
+   * @param {Object|null} stats - Statistics from a job's telemetry, or null to
+   *   hide the panel
+   */
+  updateTelemetry(stats) {
+    if (!elements.transferTelemetry) return;
+
+    if (!stats) {
+      elements.transferTelemetry.style.display = "none";
+      return;
+    }
+
+    const speed = (bytesPerSecond) =>
+      `${utils.formatBytes(Math.round(bytesPerSecond))}/s`;
+
+    if (elements.telemetrySent) {
+      elements.telemetrySent.textContent = `${utils.formatBytes(
+        stats.committed
+      )} of ${utils.formatBytes(stats.totalBytes)}`;
+    }
+    if (elements.telemetrySpeed) {
+      elements.telemetrySpeed.textContent = `${speed(
+        stats.currentSpeed
+      )} (average ${speed(stats.averageSpeed)})`;
+    }
+    if (elements.telemetryEta) {
+      const seconds = stats.eta === null ? null : Math.ceil(stats.eta);
+      elements.telemetryEta.textContent =
+        seconds === null
+          ? "-"
+          : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+              2,
+              "0"
+            )}`;
     }
+    if (elements.telemetryRetries) {
+      elements.telemetryRetries.textContent = `${stats.retries} (${stats.consecutiveErrors} in a row)`;
+    }
+    if (elements.telemetrySparkline) {
+      const peak = Math.max(...stats.samples, 1);
+      const step = 100 / (TELEMETRY_SAMPLES - 1);
+      elements.telemetrySparkline.setAttribute(
+        "points",
+        stats.samples
+          .map(
+            (sample, index) =>
+              `${(index * step).toFixed(1)},${(
+                23 -
+                (sample / peak) * 22
+              ).toFixed(1)}`
+          )
+          .join(" ")
+      );
+    }
+
+    elements.transferTelemetry.style.display = "block";
   },
 
   /**
-   * Cancels an ongoing firmware update operation
-   * @returns {Promise<void>} - Resolves when abort completes
+   * Lists the update stages with the status and position of each
+   * @param {Object} stages - Stage states keyed by ID
    */
-  async abortUpdate() {
-    try {
-      await serial.sendCommand(SERIAL_COMMANDS.ABORT_UPDATE);
-      updateInProgress = false;
-      ui.updateUpdateState(false);
-      utils.resetProgress();
-      utils.showStatus(elements.updateStatus, "Update aborted", "warning");
-    } catch (error) {
-      console.error("Failed to abort update:", error);
-    }
+  updateProgressStages(stages) {
+    const list = elements.progressStages;
+    if (!list) return;
+
+    list.replaceChildren(
+      ...UPDATE_STAGES.map(({ id, label }) => {
+        const { status, percent } = stages[id];
+        const item = document.createElement("li");
+        item.className = `progress-stages__item progress-stages__item--${status}`;
+        item.textContent =
+          status === "active" && percent !== null
+            ? `${label} ${Math.round(percent)}%`
+            : label;
+        return item;
+      })
+    );
   },
-};
-
-//==============================================================================
-// USER INTERFACE MANAGEMENT
-//==============================================================================
 
-/**
- * Handles all UI state changes and element visibility management
- */
-const ui = {
   /**
-   * Updates UI elements based on connection state
-   * @param {boolean} connected - True if device is connected
+   * Shows the last crash with its decoded frames
+   * @param {Object|null} panic - Crash from panicDecoder, or null to hide it
    */
-  updateConnectionState(connected) {
-    if (connected) {
-      if (elements.connectBtn) elements.connectBtn.style.display = "none";
-      if (elements.disconnectBtn)
-        elements.disconnectBtn.style.display = "inline-flex";
-      if (elements.deviceInfo) elements.deviceInfo.style.display = "block";
-      if (elements.updateSection)
-        elements.updateSection.style.display = "block";
-    } else {
-      if (elements.connectBtn)
-        elements.connectBtn.style.display = "inline-flex";
-      if (elements.disconnectBtn) elements.disconnectBtn.style.display = "none";
-      if (elements.deviceInfo) elements.deviceInfo.style.display = "none";
-      if (elements.updateSection) elements.updateSection.style.display = "none";
-      if (elements.uploadBtn) elements.uploadBtn.disabled = true;
-      this.clearDeviceInfo();
+  updatePanicReport(panic) {
+    if (!elements.panicReport) return;
+
+    if (!panic) {
+      elements.panicReport.style.display = "none";
+      return;
+    }
+
+    if (elements.panicReason) {
+      elements.panicReason.textContent = panic.version
+        ? `${panic.reason} (firmware ${panic.version})`
+        : panic.reason;
     }
+
+    const body = elements.panicFramesBody;
+    if (body) {
+      body.replaceChildren();
+      panic.frames.forEach((frame) => {
+        const row = body.insertRow();
+        row.insertCell().textContent = frame.label;
+        row.insertCell().textContent = `0x${frame.address
+          .toString(16)
+          .padStart(8, "0")}`;
+        row.insertCell().textContent = frame.function || "??";
+        row.insertCell().textContent = frame.source || "";
+      });
+    }
+
+    elements.panicReport.style.display = "block";
   },
 
   /**
-   * Populates device information fields with data from the device
-   * @param {Object} info - Device information object from GET_INFO response
+   * Disables file controls while a file operation or update is running
    */
-  updateDeviceInfo(info) {
-    if (info) {
-      if (elements.firmwareVersion)
-        elements.firmwareVersion.textContent = info.firmware_version || "-";
-      if (elements.mcu) elements.mcu.textContent = info.mcu || "-";
-      if (elements.availableSpace)
-        elements.availableSpace.textContent = info.flash_available || "-";
-      if (elements.freeHeap)
-        elements.freeHeap.textContent = info.free_heap || "-";
+  updateFileManagerState() {
+    const locked = fileManager.busy || backup.busy || updateInProgress;
+
+    if (elements.refreshFilesBtn) elements.refreshFilesBtn.disabled = locked;
+    if (elements.deviceUploadFile) elements.deviceUploadFile.disabled = locked;
+    if (elements.uploadDeviceFileBtn) {
+      elements.uploadDeviceFileBtn.disabled =
+        locked || !elements.deviceUploadFile?.files[0];
     }
+    elements.fileTableBody
+      ?.querySelectorAll("button")
+      .forEach((button) => (button.disabled = locked));
+    ui.updateBackupState();
+    ui.updateConsoleState();
   },
 
   /**
@@ -916,6 +8463,14 @@ const ui = {
     if (elements.mcu) elements.mcu.textContent = "-";
     if (elements.availableSpace) elements.availableSpace.textContent = "-";
     if (elements.freeHeap) elements.freeHeap.textContent = "-";
+    if (elements.partitionTableBody)
+      elements.partitionTableBody.replaceChildren();
+    if (elements.deviceInspector) elements.deviceInspector.open = false;
+    if (elements.fileTableBody) elements.fileTableBody.replaceChildren();
+    utils.hideStatus(elements.fileStatus);
+    utils.hideStatus(elements.backupStatus);
+    if (elements.releaseStatus) elements.releaseStatus.style.display = "none";
+    this.updateStorageInfo(null);
   },
 
   /**
@@ -927,13 +8482,341 @@ const ui = {
       if (elements.uploadBtn) elements.uploadBtn.style.display = "none";
       if (elements.abortBtn) elements.abortBtn.style.display = "inline-flex";
       if (elements.firmwareFile) elements.firmwareFile.disabled = true;
+      if (elements.animationsFile) elements.animationsFile.disabled = true;
       if (elements.updateType) elements.updateType.disabled = true;
+      if (elements.releaseChannel) elements.releaseChannel.disabled = true;
+      if (elements.releaseVersion) elements.releaseVersion.disabled = true;
+      if (elements.useReleaseBtn) elements.useReleaseBtn.disabled = true;
+      if (elements.quickUpdateBtn) elements.quickUpdateBtn.disabled = true;
+      if (elements.assetFiles) elements.assetFiles.disabled = true;
+      if (elements.clearAssetsBtn) elements.clearAssetsBtn.disabled = true;
+      this.updateFileManagerState();
+      if (elements.rollbackBtn) elements.rollbackBtn.disabled = true;
     } else {
       if (elements.uploadBtn) elements.uploadBtn.style.display = "inline-flex";
       if (elements.abortBtn) elements.abortBtn.style.display = "none";
       if (elements.firmwareFile) elements.firmwareFile.disabled = false;
+      if (elements.animationsFile) elements.animationsFile.disabled = false;
       if (elements.updateType) elements.updateType.disabled = false;
+      if (elements.releaseChannel) elements.releaseChannel.disabled = false;
+      if (elements.assetFiles) elements.assetFiles.disabled = false;
+      this.updateFileManagerState();
+      if (elements.rollbackBtn) elements.rollbackBtn.disabled = false;
+      this.updateReleasePicker();
+    }
+  },
+
+  /**
+   * Enables the upload button when an image is selected and the device is idle
+   */
+  updateUploadButton() {
+    if (!elements.uploadBtn) return;
+
+    const updateType = elements.updateType?.value || "firmware";
+    const hasFile = Boolean(elements.firmwareFile?.files[0]);
+    const hasAnimations =
+      Boolean(elements.animationsFile?.files[0]) ||
+      animationBuilder.files.length > 0;
+    const hasImage =
+      Boolean(catalog.getReleaseImage(updateType)) ||
+      (updateType === "full"
+        ? hasFile && hasAnimations
+        : hasFile ||
+          (updateType === "filesystem" && animationBuilder.files.length > 0));
+    elements.uploadBtn.disabled = !hasImage || !isConnected || updateInProgress;
+  },
+
+  /**
+   * Rebuilds the release picker for the current channel, update type and
+   * device MCU. The picker stays hidden when no manifest releases are listed.
+   */
+  updateReleasePicker() {
+    const picker = elements.releasePicker;
+    const select = elements.releaseVersion;
+    if (!picker || !select) return;
+
+    ui.updateReleaseStatus();
+
+    if (!catalog.manifest || catalog.manifest.releases.length === 0) {
+      picker.style.display = "none";
+      return;
+    }
+
+    const channel = elements.releaseChannel?.value || RELEASE_CHANNELS.STABLE;
+    const updateType = elements.updateType?.value || "firmware";
+    const releases = catalog.getReleases(channel, updateType);
+    const previous = select.value;
+
+    select.replaceChildren(
+      ...releases.map(
+        (release) =>
+          new Option(
+            release.channel === RELEASE_CHANNELS.BETA
+              ? `${release.version} (beta)`
+              : release.version,
+            release.version
+          )
+      )
+    );
+    if (releases.length === 0) {
+      select.append(new Option("No compatible releases", ""));
+    } else if (releases.some((release) => release.version === previous)) {
+      select.value = previous;
+    }
+
+    select.disabled = releases.length === 0;
+    if (elements.useReleaseBtn) {
+      elements.useReleaseBtn.disabled = releases.length === 0;
+    }
+
+    // Drop a downloaded image that no longer matches the picker, so Upload
+    // never flashes a version other than the one selected
+    const selected = catalog.releaseImage;
+    if (
+      selected &&
+      (selected.updateType !== updateType ||
+        selected.release.version !== select.value ||
+        !releases.includes(selected.release))
+    ) {
+      catalog.releaseImage = null;
+      utils.hideStatus(elements.updateStatus);
+      updater.previewImage();
+    }
+
+    picker.style.display = "block";
+    ui.updateReleaseNotes();
+    ui.updateUploadButton();
+  },
+
+  /**
+   * Shows whether the connected device runs the recommended release
+   */
+  updateReleaseStatus() {
+    const container = elements.releaseStatus;
+    if (!container) return;
+
+    const result = isConnected ? catalog.checkForUpdate(deviceInfo) : null;
+    if (!result) {
+      container.style.display = "none";
+      return;
+    }
+
+    const labels = {
+      current: "Up to date",
+      available: `Update available (${result.release.version})`,
+      newer: "Newer than latest (dev build)",
+    };
+
+    if (elements.releaseBadge) {
+      elements.releaseBadge.textContent = labels[result.status];
+      elements.releaseBadge.className = `release-badge release-${result.status}`;
+    }
+    if (elements.quickUpdateBtn) {
+      elements.quickUpdateBtn.textContent = `Update to ${result.release.version}`;
+      elements.quickUpdateBtn.style.display =
+        result.status === "available" ? "inline-flex" : "none";
+      elements.quickUpdateBtn.disabled = updateInProgress;
+    }
+    container.style.display = "flex";
+  },
+
+  /**
+   * Shows the animations builder for filesystem and full updates, and the
+   * separate animations file input for full updates
+   */
+  updateAssetBuilder() {
+    const updateType = elements.updateType?.value || "firmware";
+    if (elements.assetBuilder) {
+      elements.assetBuilder.style.display =
+        updateType === "firmware" ? "none" : "block";
+    }
+    if (elements.animationsFileControl) {
+      elements.animationsFileControl.style.display =
+        updateType === "full" ? "block" : "none";
+    }
+    ui.updateAssetList();
+  },
+
+  /**
+   * Lists the queued animation files and how much of the partition they use
+   */
+  updateAssetList() {
+    const list = elements.assetList;
+    if (list) {
+      list.replaceChildren(
+        ...animationBuilder.files.map((file) => {
+          const item = document.createElement("li");
+          const label = document.createElement("span");
+          label.textContent = `${file.name} (${utils.formatBytes(file.size)})`;
+
+          const remove = document.createElement("button");
+          remove.className = "asset-list__remove";
+          remove.textContent = "Remove";
+          remove.dataset.name = file.name;
+
+          item.append(label, remove);
+          return item;
+        })
+      );
+    }
+
+    if (elements.assetSummary) {
+      const count = animationBuilder.files.length;
+      const { needed, available } = animationBuilder.getUsage();
+      let summary = "No files added";
+
+      if (count > 0 && needed === null) {
+        summary = "Some file names cannot be stored on the device";
+      } else if (count > 0 && available === null) {
+        summary = `${count} file(s), ${needed} blocks`;
+      } else if (count > 0) {
+        summary =
+          needed > available
+            ? `${count} file(s) need ${needed} blocks but only ${available} fit`
+            : `${count} file(s), ${needed} of ${available} blocks used`;
+      }
+      elements.assetSummary.textContent = summary;
+    }
+
+    if (elements.clearAssetsBtn) {
+      elements.clearAssetsBtn.disabled = animationBuilder.files.length === 0;
+    }
+    ui.updateUploadButton();
+  },
+
+  /**
+   * Shows the parsed header of the selected firmware image
+   * @param {Object|null} header - Parsed image header, or null to hide
+   */
+  updateImageInfo(header) {
+    if (!elements.imageInfo) return;
+
+    if (!header) {
+      elements.imageInfo.style.display = "none";
+      return;
+    }
+
+    const desc = header.appDesc;
+    const fields = {
+      imageProject: desc?.projectName,
+      imageVersion: desc?.version,
+      imageChip:
+        header.chip || `Unknown (${firmwareImage.formatChipId(header.chipId)})`,
+      imageIdfVersion: desc?.idfVersion,
+      imageBuildDate: desc && `${desc.date} ${desc.time}`,
+      imageSegments: String(header.segmentCount),
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+      if (elements[id]) elements[id].textContent = value || "-";
+    });
+    elements.imageInfo.style.display = "block";
+  },
+
+  /**
+   * Shows the pass/fail report of the last update, or hides it
+   * @param {Object|null} report - Report from updater.verifyBoot
+   */
+  updateUpdateReport(report) {
+    if (!elements.updateReport) return;
+
+    if (!report) {
+      elements.updateReport.style.display = "none";
+      return;
+    }
+
+    const seconds = (value) =>
+      value === undefined ? "-" : `${value.toFixed(1)}s`;
+    const throughput = report.timings.transfer
+      ? `${utils.formatBytes(report.bytesSent / report.timings.transfer)}/s`
+      : "-";
+    const fields = [
+      ["Result", report.reason],
+      [
+        "Update",
+        {
+          firmware: "Firmware",
+          filesystem: "Animations",
+          full: "Firmware and Animations",
+        }[report.updateType],
+      ],
+      ["Flashed Version", report.expectedVersion || "-"],
+      ["Running Version", report.runningVersion || "-"],
+      ["Previous Version", report.previousVersion || "-"],
+      ["Rollback", report.rollback ? "Detected" : "None"],
+      ["Transfer", `${seconds(report.timings.transfer)} (${throughput})`],
+      ["Verification", seconds(report.timings.verify)],
+      ["Finalize", seconds(report.timings.finish)],
+      ["Restart", seconds(report.timings.restart)],
+      ["Total", seconds(report.timings.total)],
+    ];
+
+    if (elements.updateReportDetails) {
+      elements.updateReportDetails.replaceChildren(
+        ...fields.map(([label, value]) => {
+          const item = document.createElement("div");
+          item.className = "info-item";
+          const labelSpan = document.createElement("span");
+          labelSpan.className = "info-label";
+          labelSpan.textContent = `${label}:`;
+          const valueSpan = document.createElement("span");
+          valueSpan.className = "info-value";
+          valueSpan.textContent = value;
+          item.append(labelSpan, valueSpan);
+          return item;
+        })
+      );
+    }
+
+    if (elements.updateReportResult) {
+      elements.updateReportResult.textContent = report.passed
+        ? "Passed"
+        : "Failed";
+      elements.updateReportResult.className = `release-badge ${
+        report.passed ? "release-current" : "release-failed"
+      }`;
+    }
+    elements.updateReport.style.display = "block";
+  },
+
+  /**
+   * Shows the notes for the release selected in the picker
+   */
+  updateReleaseNotes() {
+    if (!elements.releaseNotes) return;
+
+    const release = catalog.findRelease(elements.releaseVersion?.value);
+    if (!release) {
+      elements.releaseNotes.textContent = "";
+      return;
+    }
+
+    const details = [release.date, release.notes].filter(Boolean);
+    elements.releaseNotes.textContent =
+      details.join(" — ") || "No release notes provided.";
+  },
+
+  /**
+   * Shows the offer to resume an interrupted transfer
+   * @param {Object} session - Saved transfer session
+   * @param {number} offset - Bytes the device has already committed
+   */
+  showResumeOffer(session, offset) {
+    const updateLabel =
+      session.updateType === "filesystem" ? "animations" : "firmware";
+    const percent = Math.round((offset / session.fileSize) * 100);
+
+    if (elements.resumeText) {
+      elements.resumeText.textContent = `An interrupted ${updateLabel} update (${session.fileName}) stopped at ${percent}%. Resume from where it left off?`;
     }
+    if (elements.resumeNotice) elements.resumeNotice.style.display = "block";
+  },
+
+  /**
+   * Hides the resume offer
+   */
+  hideResumeOffer() {
+    if (elements.resumeNotice) elements.resumeNotice.style.display = "none";
   },
 
   /**
@@ -986,16 +8869,238 @@ function initializeEventListeners() {
     elements.abortBtn.addEventListener("click", updater.abortUpdate);
   }
 
-  // File selection handler with validation
+  if (elements.rollbackBtn) {
+    elements.rollbackBtn.addEventListener("click", updater.rollbackFirmware);
+  }
+
+  if (elements.resumeBtn) {
+    elements.resumeBtn.addEventListener("click", updater.resumeUpdate);
+  }
+
+  if (elements.discardResumeBtn) {
+    elements.discardResumeBtn.addEventListener("click", updater.discardResume);
+  }
+
+  // File selection handler with validation. A local file replaces any
+  // downloaded release.
   if (elements.firmwareFile) {
     elements.firmwareFile.addEventListener("change", (e) => {
-      if (elements.uploadBtn) {
-        elements.uploadBtn.disabled =
-          !e.target.files[0] || !isConnected || updateInProgress;
+      if (e.target.files[0]) {
+        catalog.releaseImage = null;
+        // In a full update the builder still supplies the animations
+        if (elements.updateType?.value !== "full") animationBuilder.clear();
+      }
+      ui.updateUploadButton();
+      updater.previewImage();
+    });
+  }
+
+  if (elements.animationsFile) {
+    elements.animationsFile.addEventListener("change", (e) => {
+      if (e.target.files[0]) {
+        if (catalog.getReleaseImage("full")) catalog.releaseImage = null;
+        animationBuilder.clear();
+      }
+      ui.updateUploadButton();
+    });
+  }
+
+  // Release picker
+  if (elements.updateType) {
+    elements.updateType.addEventListener("change", () => {
+      ui.updateReleasePicker();
+      ui.updateAssetBuilder();
+      updater.previewImage();
+    });
+  }
+
+  if (elements.releaseChannel) {
+    elements.releaseChannel.addEventListener("change", ui.updateReleasePicker);
+  }
+
+  if (elements.releaseVersion) {
+    elements.releaseVersion.addEventListener("change", ui.updateReleasePicker);
+  }
+
+  if (elements.useReleaseBtn) {
+    elements.useReleaseBtn.addEventListener("click", catalog.selectRelease);
+  }
+
+  // Animations builder: pick or drop files, remove them from the list
+  if (elements.assetFiles) {
+    elements.assetFiles.addEventListener("change", (e) => {
+      animationBuilder.addFiles(e.target.files);
+      e.target.value = "";
+    });
+  }
+
+  if (elements.assetBuilder) {
+    elements.assetBuilder.addEventListener("dragover", (e) => {
+      e.preventDefault();
+    });
+    elements.assetBuilder.addEventListener("drop", (e) => {
+      e.preventDefault();
+      if (!updateInProgress) animationBuilder.addFiles(e.dataTransfer.files);
+    });
+  }
+
+  if (elements.assetList) {
+    elements.assetList.addEventListener("click", (e) => {
+      const name = e.target.dataset?.name;
+      if (name !== undefined && !updateInProgress) {
+        animationBuilder.removeFile(name);
       }
     });
   }
 
+  if (elements.clearAssetsBtn) {
+    elements.clearAssetsBtn.addEventListener("click", animationBuilder.clear);
+  }
+
+  // Device file manager
+  if (elements.refreshFilesBtn) {
+    elements.refreshFilesBtn.addEventListener("click", () =>
+      fileManager.run("Refresh", fileManager.refresh)
+    );
+  }
+
+  if (elements.deviceUploadFile) {
+    elements.deviceUploadFile.addEventListener(
+      "change",
+      ui.updateFileManagerState
+    );
+  }
+
+  if (elements.uploadDeviceFileBtn) {
+    elements.uploadDeviceFileBtn.addEventListener(
+      "click",
+      fileManager.uploadFile
+    );
+  }
+
+  if (elements.fileTableBody) {
+    elements.fileTableBody.addEventListener("click", (e) => {
+      const { action, path } = e.target.dataset || {};
+      if (action === "download") fileManager.downloadFile(path);
+      if (action === "delete") fileManager.deleteFile(path);
+    });
+  }
+
+  // Backup and restore
+  if (elements.createBackupBtn) {
+    elements.createBackupBtn.addEventListener("click", backup.createBackup);
+  }
+
+  if (elements.restoreFiles) {
+    elements.restoreFiles.addEventListener("change", (e) => {
+      backup.loadBackup(e.target.files);
+    });
+  }
+
+  if (elements.restoreList) {
+    elements.restoreList.addEventListener("click", (e) => {
+      const { index } = e.target.dataset || {};
+      if (index !== undefined) backup.restoreImage(Number(index));
+    });
+  }
+
+  // Batch update
+  if (elements.addBatchDeviceBtn) {
+    elements.addBatchDeviceBtn.addEventListener("click", batch.addDevice);
+  }
+
+  if (elements.startBatchBtn) {
+    elements.startBatchBtn.addEventListener("click", batch.start);
+  }
+
+  if (elements.batchDevices) {
+    elements.batchDevices.addEventListener("click", (e) => {
+      const { action, deviceId } = e.target.dataset || {};
+      if (action === "remove") batch.removeDevice(Number(deviceId));
+    });
+  }
+
+  // Recovery mode
+  if (elements.recoveryBtn) {
+    elements.recoveryBtn.addEventListener("click", recovery.start);
+  }
+
+  if (elements.quickUpdateBtn) {
+    elements.quickUpdateBtn.addEventListener(
+      "click",
+      catalog.installRecommended
+    );
+  }
+
+  if (elements.diagnosticsBtn) {
+    elements.diagnosticsBtn.addEventListener("click", diagnostics.download);
+  }
+
+  // Serial console
+  if (elements.consoleFilter) {
+    elements.consoleFilter.addEventListener("input", deviceConsole.applyFilter);
+  }
+
+  if (elements.consoleDirection) {
+    elements.consoleDirection.addEventListener(
+      "change",
+      deviceConsole.applyFilter
+    );
+  }
+
+  if (elements.consoleCommand) {
+    elements.consoleCommand.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") deviceConsole.sendCommand();
+    });
+  }
+
+  if (elements.consoleSendBtn) {
+    elements.consoleSendBtn.addEventListener(
+      "click",
+      deviceConsole.sendCommand
+    );
+  }
+
+  if (elements.consolePauseBtn) {
+    elements.consolePauseBtn.addEventListener(
+      "click",
+      deviceConsole.togglePause
+    );
+  }
+
+  if (elements.consoleScrollLockBtn) {
+    elements.consoleScrollLockBtn.addEventListener(
+      "click",
+      deviceConsole.toggleScrollLock
+    );
+  }
+
+  if (elements.consoleClearBtn) {
+    elements.consoleClearBtn.addEventListener("click", deviceConsole.clear);
+  }
+
+  if (elements.consoleExportBtn) {
+    elements.consoleExportBtn.addEventListener(
+      "click",
+      deviceConsole.exportLog
+    );
+  }
+
+  if (elements.panicSymbolsFile) {
+    elements.panicSymbolsFile.addEventListener("change", (e) => {
+      panicDecoder.loadFile(e.target.files[0]);
+    });
+  }
+
+  // Unsolicited device messages
+  serial.subscribe("progress", updater.handleProgressEvent);
+  serial.subscribe("traffic", ({ direction, text }) =>
+    deviceConsole.record(direction, text)
+  );
+  serial.subscribe("traffic", ({ direction, text }) => {
+    if (direction === "rx") panicDecoder.handleLine(text);
+  });
+
   // Page visibility change warning during updates
   document.addEventListener("visibilitychange", () => {
     if (document.hidden && updateInProgress) {
@@ -1061,6 +9166,7 @@ function init() {
     return;
   }
 
+  serial.connection = serial.createConnection();
   ui.checkCompatibility();
   initializeEventListeners();
 
@@ -1068,7 +9174,11 @@ function init() {
   ui.updateUpdateState(false);
   utils.hideStatus(elements.connectionStatus);
   utils.hideStatus(elements.updateStatus);
+  utils.hideStatus(elements.integrityStatus);
   utils.resetProgress();
+  ui.updateAssetBuilder();
+  catalog.load();
+  serial.initializePortEvents();
 }
 
 /**
@@ -0,0 +1,241 @@
+//==============================================================================
+// FAKE ROM BOOTLOADER
+//==============================================================================
+
+/**
+ * Scripted stand-in for the ESP32 ROM bootloader. It exposes the same byte
+ * transport romLoader is given in the page ({ write, read, setSignals,
+ * setBaudRate }) and answers SLIP-framed commands from an in-memory flash,
+ * so the recovery flow can run without a device.
+ */
+
+const crypto = require("crypto");
+
+const SLIP_END = 0xc0;
+const SLIP_ESC = 0xdb;
+const SLIP_ESC_END = 0xdc;
+const SLIP_ESC_ESC = 0xdd;
+
+const COMMANDS = {
+  FLASH_BEGIN: 0x02,
+  FLASH_DATA: 0x03,
+  FLASH_END: 0x04,
+  SYNC: 0x08,
+  READ_REG: 0x0a,
+  SPI_SET_PARAMS: 0x0b,
+  SPI_ATTACH: 0x0d,
+  CHANGE_BAUDRATE: 0x0f,
+  SPI_FLASH_MD5: 0x13,
+};
+
+const CHIP_DETECT_MAGIC_REG = 0x40001000;
+const CHECKSUM_SEED = 0xef;
+const BOOT_BANNER = "ESP-ROM:esp32s3-20210327\r\nwaiting for download\r\n";
+
+/**
+ * SLIP-encodes a packet
+ * @param {Uint8Array} packet - Raw packet
+ * @returns {Uint8Array} - Framed packet
+ */
+function slipEncode(packet) {
+  const bytes = [SLIP_END];
+  packet.forEach((byte) => {
+    if (byte === SLIP_END) bytes.push(SLIP_ESC, SLIP_ESC_END);
+    else if (byte === SLIP_ESC) bytes.push(SLIP_ESC, SLIP_ESC_ESC);
+    else bytes.push(byte);
+  });
+  bytes.push(SLIP_END);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Creates a fake bootloader
+ * @param {Object} options - `chipMagic` (value of the chip detection
+ *   register), `flashSize`, `ignoreSyncs` (SYNC commands to leave unanswered
+ *   before answering), `errors` (error code to return, by opcode) and
+ *   `shortReply` (opcode answered without status bytes)
+ * @returns {Object} - `{ transport, flash, commands, signals, baudRate,
+ *   finished }`; the fields other than transport are updated as it runs
+ */
+function createFakeBootloader(options = {}) {
+  const {
+    chipMagic = 0x00000009, // ESP32-S3
+    flashSize = 0x100000,
+    ignoreSyncs = 0,
+    errors = {},
+    shortReply = null,
+  } = options;
+
+  const fake = {
+    flash: new Uint8Array(flashSize).fill(0xff),
+    commands: [], // Opcodes received, in order
+    signals: [], // setSignals calls, in order
+    baudRate: 115200,
+    finished: false, // FLASH_END received
+    syncsIgnored: 0,
+    region: null, // Region being written: { offset, size, blocks, blockSize, next }
+    incoming: [], // Bytes of the command frame being decoded
+    escaped: false,
+    inFrame: false,
+    output: [], // Byte chunks waiting to be read
+    waiting: null, // Resolves the read that is waiting for output
+
+    transport: {
+      async write(bytes) {
+        fake.receive(bytes);
+      },
+      read() {
+        if (fake.output.length > 0) {
+          return Promise.resolve({ value: fake.output.shift(), done: false });
+        }
+        return new Promise((resolve) => (fake.waiting = resolve));
+      },
+      async setSignals(signals) {
+        fake.signals.push(signals);
+        // EN released with IO0 held low boots into the download mode
+        const last = fake.signals[fake.signals.length - 2];
+        if (last?.dataTerminalReady && signals.dataTerminalReady === false) {
+          fake.send(new TextEncoder().encode(BOOT_BANNER));
+        }
+      },
+      async setBaudRate(baudRate) {
+        // As with the Web Serial transport, a read waiting on the old port
+        // setup resolves as closed
+        fake.baudRate = baudRate;
+        if (fake.waiting) fake.end();
+      },
+    },
+
+    /**
+     * Queues bytes for the host to read
+     * @param {Uint8Array} bytes - Bytes to send
+     */
+    send(bytes) {
+      if (fake.waiting) {
+        const resolve = fake.waiting;
+        fake.waiting = null;
+        resolve({ value: bytes, done: false });
+      } else {
+        fake.output.push(bytes);
+      }
+    },
+
+    /**
+     * Resolves the waiting read as closed
+     */
+    end() {
+      const resolve = fake.waiting;
+      fake.waiting = null;
+      resolve({ value: undefined, done: true });
+    },
+
+    /**
+     * Decodes SLIP frames written by the host and handles each command
+     * @param {Uint8Array} bytes - Written bytes
+     */
+    receive(bytes) {
+      for (const byte of bytes) {
+        if (!fake.inFrame) {
+          if (byte === SLIP_END) fake.inFrame = true;
+        } else if (fake.escaped) {
+          fake.incoming.push(byte === SLIP_ESC_END ? SLIP_END : SLIP_ESC);
+          fake.escaped = false;
+        } else if (byte === SLIP_ESC) {
+          fake.escaped = true;
+        } else if (byte !== SLIP_END) {
+          fake.incoming.push(byte);
+        } else if (fake.incoming.length > 0) {
+          fake.handle(new Uint8Array(fake.incoming));
+          fake.incoming = [];
+          fake.inFrame = false;
+        }
+      }
+    },
+
+    /**
+     * Sends a response packet
+     * @param {number} op - Opcode being answered
+     * @param {number} value - Response value
+     * @param {Uint8Array} result - Result bytes before the status bytes
+     * @param {number} error - Error code, 0 on success
+     */
+    reply(op, value = 0, result = new Uint8Array(0), error = 0) {
+      const status = op === shortReply ? [] : [error ? 1 : 0, error];
+      const packet = new Uint8Array(8 + result.length + status.length);
+      const view = new DataView(packet.buffer);
+      view.setUint8(0, 0x01);
+      view.setUint8(1, op);
+      view.setUint16(2, result.length + status.length, true);
+      view.setUint32(4, value, true);
+      packet.set(result, 8);
+      packet.set(status, 8 + result.length);
+      fake.send(slipEncode(packet));
+    },
+
+    /**
+     * Runs one command
+     * @param {Uint8Array} packet - Decoded command packet
+     */
+    handle(packet) {
+      const view = new DataView(packet.buffer);
+      const op = view.getUint8(1);
+      const data = packet.subarray(8, 8 + view.getUint16(2, true));
+      const words = new DataView(data.buffer, data.byteOffset, data.length);
+      const word = (index) => words.getUint32(index * 4, true);
+      fake.commands.push(op);
+
+      if (errors[op]) {
+        fake.reply(op, 0, undefined, errors[op]);
+        return;
+      }
+
+      if (op === COMMANDS.SYNC) {
+        if (fake.syncsIgnored < ignoreSyncs) {
+          fake.syncsIgnored++;
+          return;
+        }
+        // The ROM answers SYNC several times
+        for (let i = 0; i < 8; i++) fake.reply(op);
+      } else if (op === COMMANDS.READ_REG) {
+        fake.reply(op, word(0) === CHIP_DETECT_MAGIC_REG ? chipMagic : 0);
+      } else if (op === COMMANDS.FLASH_BEGIN) {
+        const [size, blocks, blockSize, offset] = [0, 1, 2, 3].map(word);
+        fake.flash.fill(0xff, offset, offset + blocks * blockSize);
+        fake.region = { offset, size, blocks, blockSize, next: 0 };
+        fake.reply(op);
+      } else if (op === COMMANDS.FLASH_DATA) {
+        const [length, sequence] = [word(0), word(1)];
+        const block = data.subarray(16, 16 + length);
+        let checksum = CHECKSUM_SEED;
+        block.forEach((byte) => (checksum ^= byte));
+
+        if (!fake.region || sequence !== fake.region.next) {
+          fake.reply(op, 0, undefined, 0x07);
+        } else if (checksum !== view.getUint32(4, true)) {
+          fake.reply(op, 0, undefined, 0x08);
+        } else {
+          const offset = fake.region.offset + sequence * fake.region.blockSize;
+          fake.flash.set(block, offset);
+          fake.region.next++;
+          fake.reply(op);
+        }
+      } else if (op === COMMANDS.SPI_FLASH_MD5) {
+        const [offset, size] = [word(0), word(1)];
+        const digest = crypto
+          .createHash("md5")
+          .update(fake.flash.subarray(offset, offset + size))
+          .digest("hex");
+        fake.reply(op, 0, new TextEncoder().encode(digest));
+      } else if (op === COMMANDS.FLASH_END) {
+        fake.finished = true;
+        fake.reply(op);
+      } else {
+        fake.reply(op);
+      }
+    },
+  };
+
+  return fake;
+}
+
+module.exports = { createFakeBootloader, COMMANDS };
@@ -0,0 +1,122 @@
+//==============================================================================
+// ROM LOADER TESTS
+//==============================================================================
+
+/**
+ * Runs romLoader from script.js against the fake bootloader.
+ * Run with: node --test test/*.test.js
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { createFakeBootloader, COMMANDS } = require("./fake-bootloader");
+
+/**
+ * Loads script.js into a fresh context, as the page does
+ * @returns {Object} - The page's romLoader
+ */
+function loadRomLoader() {
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    TextEncoder,
+    TextDecoder,
+    document: { addEventListener() {} },
+    window: { addEventListener() {} },
+  });
+  const source = fs.readFileSync(path.join(__dirname, "../script.js"), "utf8");
+  vm.runInContext(source, context);
+  return vm.runInContext("romLoader", context);
+}
+
+test("syncs, identifies the chip, flashes and verifies a region", async () => {
+  const romLoader = loadRomLoader();
+  const fake = createFakeBootloader({ ignoreSyncs: 2 });
+  const data = crypto.randomBytes(2560); // Two and a half FLASH_DATA blocks
+  const offset = 0x10000;
+  const written = [];
+
+  romLoader.open(fake.transport);
+  await romLoader.connect();
+  romLoader.chip = await romLoader.detectChip();
+  await romLoader.attachFlash(0x100000);
+  await romLoader.changeBaudRate(921600);
+  await romLoader.writeFlash(offset, data, (bytes) => written.push(bytes));
+  const digest = await romLoader.flashMd5(offset, data.length);
+  await romLoader.finish();
+  romLoader.close();
+
+  assert.strictEqual(romLoader.chip, null);
+  assert.strictEqual(fake.baudRate, 921600);
+  assert.deepStrictEqual(written, [1024, 2048, 2560]);
+  assert.deepStrictEqual(
+    Buffer.from(fake.flash.subarray(offset, offset + data.length)),
+    data
+  );
+  assert.ok(
+    fake.flash
+      .subarray(offset + data.length, offset + 3072)
+      .every((byte) => byte === 0xff)
+  );
+  assert.strictEqual(
+    digest,
+    crypto.createHash("md5").update(data).digest("hex")
+  );
+  assert.strictEqual(fake.finished, true);
+  assert.deepStrictEqual(
+    fake.commands.filter((op) => op !== COMMANDS.SYNC),
+    [
+      COMMANDS.READ_REG,
+      COMMANDS.SPI_ATTACH,
+      COMMANDS.SPI_SET_PARAMS,
+      COMMANDS.CHANGE_BAUDRATE,
+      COMMANDS.FLASH_BEGIN,
+      COMMANDS.FLASH_DATA,
+      COMMANDS.FLASH_DATA,
+      COMMANDS.FLASH_DATA,
+      COMMANDS.SPI_FLASH_MD5,
+      COMMANDS.FLASH_END,
+    ]
+  );
+});
+
+test("identifies the chip from its detection register", async () => {
+  const romLoader = loadRomLoader();
+  const fake = createFakeBootloader({ chipMagic: 0x1b31506f });
+
+  romLoader.open(fake.transport);
+  await romLoader.connect();
+  assert.strictEqual(await romLoader.detectChip(), "ESP32-C3");
+});
+
+test("reports a failed command with its opcode and error code", async () => {
+  const romLoader = loadRomLoader();
+  const fake = createFakeBootloader({
+    errors: { [COMMANDS.FLASH_BEGIN]: 0x05 },
+  });
+
+  romLoader.open(fake.transport);
+  await romLoader.connect();
+  romLoader.chip = await romLoader.detectChip();
+  await assert.rejects(
+    romLoader.writeFlash(0, new Uint8Array(16)),
+    /Bootloader command 0x2 failed \(error 0x5\)/
+  );
+});
+
+test("reports a response without status bytes", async () => {
+  const romLoader = loadRomLoader();
+  const fake = createFakeBootloader({ shortReply: COMMANDS.SPI_ATTACH });
+
+  romLoader.open(fake.transport);
+  await romLoader.connect();
+  await assert.rejects(
+    romLoader.attachFlash(0x100000),
+    /Short bootloader response to command 0xd/
+  );
+});